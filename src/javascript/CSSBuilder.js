@@ -9,136 +9,442 @@
 
 var EXPORTED_SYMBOLS = [ "CSSBuilder" ];
 
+Components.utils.import(__URI__.replace(/[^\/]*$/, "CSSFormatter.js"));
+Components.utils.import(__URI__.replace(/[^\/]*$/, "CSSSelector.js"));
+Components.utils.import(__URI__.replace(/[^\/]*$/, "CSSValue.js"));
+
 /**
  * A utility class that allows to build CSS strings in a more functional or
  * object oriented manner than purely concatening strings. It will also
- * automatically add units (pixel) and "!important" by default to all
- * declarations.
+ * automatically add units (pixel by default, see CSSValue) and "!important"
+ * by default to all declarations.
  * 
- * @param {string} selector The selector to be added.
+ * @param selector The selector to be added, either a string or a CSSSelector.
  * @param {boolean} important Optional. The default value for if !important
  *                            should be added to declarations.
  */
 var CSSBuilder = function(selector, important) {
-	/** The declarations string. */
-	this.declarations = "";
+	/**
+	 * The declarations, an ordered map of the property to an object holding
+	 * the value and if it is important.
+	 */
+	this.declarations = {};
+	
+	/** The unit which is added to values without one. */
+	this.defaultUnit = "px";
+	
+	/**
+	 * Which properties are emitted for the logical sides (start and end), see
+	 * CSSBuilder.LOGICAL_LEGACY, CSSBuilder.LOGICAL_STANDARD and
+	 * CSSBuilder.LOGICAL_BOTH.
+	 */
+	this.logicalProperties = CSSBuilder.LOGICAL_BOTH;
+	
+	/** The name of this CSSBuilder, which is used for annotating the CSS. */
+	this.name = null;
 	
 	/** If the !important statement should be added by default. */
 	this.important = (typeof important !== "undefined" ? important : true);
 	
 	/** The selector that is used. */
-	this.selector = selector;
+	this.selector = (selector != null ? CSSSelector.toCSS(selector) : "");
 	
 	/**
 	 * Add the given property with the given value.
 	 *
 	 * @param {string} property The property.
-	 * @param {string} value The value.
+	 * @param value The value, either a string or an object with a toCSS()
+	 *              function, like a CSSColor.
 	 * @param {boolean} important Optional. If the !important statement should
 	 *                            be added.
 	 * @return {CSSBuilder} This object.
 	 */
 	this.add = function(property, value, important) {
-		var declaration = property + ": " + value;
+		property = normalizeProperty(property);
 		
-		if ((typeof important === "undefined" && this.important) || important) {
-			declaration = declaration + " !important";
+		if (value !== null && typeof value === "object" && typeof value.toCSS === "function") {
+			value = value.toCSS();
 		}
 		
-		declaration = declaration + ";\n";
+		// Remove the previous declaration first so that the new one is moved
+		// to the end, which keeps shorthands and longhands in the order they
+		// were added.
+		delete this.declarations[property];
 		
-		this.declarations = this.declarations + declaration;
+		this.declarations[property] = {
+			important : (typeof important === "undefined" && this.important) || important === true,
+			value : String(value)
+		};
 		
 		return this;
 	};
 	
 	/**
-	 * Adds the default unit (px) to the given value if it doens't already have
-	 * a unit.
+	 * Adds the default unit to the given value if it doesn't already have a
+	 * unit. Keywords and expressions like calc() or var() are left untouched.
 	 *
-	 * @param {string} value The value.
+	 * @param value The value, either a number or a string.
 	 * @return {string} The value with a unit.
 	 */
 	this.addUnit = function(value) {
-		if (!(/[a-zA-Z]{2}$/.test(value))) {
-			return value + "px";
-		}
-		
-		return value;
+		return CSSValue.format(value, this.defaultUnit);
 	};
 	
 	/**
 	 * Adds the given selector.
 	 *
-	 * @param {string} selector The selector string to add.
+	 * @param selector The selector to add, either a string or a CSSSelector.
 	 * @return {CSSBuilder} This object.
 	 */
 	this.addSelector = function(selector) {
-		this.selector = this.selector + ", " + selector;
+		if (this.selector !== "") {
+			this.selector = this.selector + ", " + CSSSelector.toCSS(selector);
+		} else {
+			this.selector = CSSSelector.toCSS(selector);
+		}
 		
 		return this;
 	};
 	
 	/**
-	 * Sets an "automatic" -moz-padding. If the given value is positive, the
-	 * margin will be set to 0px and the padding will be set to the given value.
-	 * If the given value is negative, the margin will be set to the given value
-	 * and the padding will be set to 0px.
+	 * Adds the given property for the given side. If the side is a logical
+	 * one (start or end), the properties are emitted as configured by
+	 * setLogicalProperties().
 	 *
-	 * @param {string} postfix The postfix, start or end.
+	 * @param {string} type The type, so padding, margin, border or inset.
+	 * @param {string} postfix The side, so top, bottom, left, right, start or
+	 *                         end. Can be null or empty for all.
+	 * @param {string} suffix The suffix which is appended to the property, for
+	 *                        example "-width" for borders. Can be empty.
 	 * @param {string} value The value.
 	 * @param {boolean} important Optional. If the !important statement should
 	 *                            be added.
 	 * @return {CSSBuilder} This object.
 	 */
-	this.autoMozPadding = function(postfix, value, important) {
-		var property = "";
-		
-		if (postfix != null && postfix !== "") {
-			property = property + "-" + postfix;
+	this.addSide = function(type, postfix, suffix, value, important) {
+		if (postfix === "start" || postfix === "end") {
+			if (this.logicalProperties !== CSSBuilder.LOGICAL_STANDARD) {
+				if (type === "inset") {
+					// There never was a -moz- prefixed version, but the
+					// properties were called offset-* before Firefox 63.
+					this.add("offset-inline-" + postfix + suffix, value, important);
+				} else {
+					this.add("-moz-" + type + "-" + postfix + suffix, value, important);
+				}
+			}
+			
+			if (this.logicalProperties !== CSSBuilder.LOGICAL_LEGACY) {
+				this.add(type + "-inline-" + postfix + suffix, value, important);
+			}
+		} else if (type === "inset" && postfix != null && postfix !== "") {
+			// The physical insets are simply called top, left and so on.
+			this.add(postfix + suffix, value, important);
 		} else {
-			property = property + "-start";
+			var property = type;
+			
+			if (postfix != null && postfix !== "") {
+				property = property + "-" + postfix;
+			}
+			
+			this.add(property + suffix, value, important);
 		}
 		
-		if (value >= 0) {
-			this.add("-moz-padding" + property, this.addUnit(value), important);
-			this.add("-moz-margin" + property, "0px", important);
-		} else {
-			this.add("-moz-padding" + property, "0px", important);
-			this.add("-moz-margin" + property, this.addUnit(value), important);
+		return this;
+	};
+	
+	/**
+	 * Sets the animation to the given keyframes.
+	 *
+	 * @param keyframes The keyframes, either a CSSKeyframes or the name of
+	 *                  the keyframes.
+	 * @param {Object} options Optional. An object with the optional keys
+	 *                         delay, direction, duration, fillMode,
+	 *                         iterationCount, playState and timingFunction.
+	 *                         Plain numbers for delay and duration are
+	 *                         milliseconds.
+	 * @param {boolean} important Optional. If the !important statement should
+	 *                            be added.
+	 * @return {CSSBuilder} This object.
+	 */
+	this.animation = function(keyframes, options, important) {
+		if (keyframes !== null && typeof keyframes === "object") {
+			keyframes = keyframes.name;
 		}
 		
+		this.add("animation-name", keyframes, important);
+		
+		addMapped(this, {
+			delay : [ "animation-delay", "ms" ],
+			direction : [ "animation-direction" ],
+			duration : [ "animation-duration", "ms" ],
+			fillMode : [ "animation-fill-mode" ],
+			iterationCount : [ "animation-iteration-count", "" ],
+			playState : [ "animation-play-state" ],
+			timingFunction : [ "animation-timing-function" ]
+		}, options, important);
+		
 		return this;
-	}
+	};
+	
+	/**
+	 * Sets an "automatic" logical padding, see autoPadding(). Which properties
+	 * are emitted depends on setLogicalProperties().
+	 *
+	 * @param {string} postfix The postfix, start or end. Defaults to start if
+	 *                         null or empty.
+	 * @param {string} value The value.
+	 * @param {boolean} important Optional. If the !important statement should
+	 *                            be added.
+	 * @return {CSSBuilder} This object.
+	 */
+	this.autoMozPadding = function(postfix, value, important) {
+		if (postfix == null || postfix === "") {
+			postfix = "start";
+		}
+		
+		return this.autoPadding(postfix, value, important);
+	};
 	
 	/**
 	 * Sets an "automatic" padding. If the given value is positive, the margin
-	 * will be set to 0px and the padding will be set to the given value. If the
+	 * will be set to 0 and the padding will be set to the given value. If the
 	 * given value is negative, the margin will be set to the given value and
-	 * the padding will be set to 0px.
+	 * the padding will be set to 0.
 	 *
-	 * @param {string} postfix The postfix, so top, bottom, left or right. Can
-	 *                         be left null or empty for all.
+	 * @param {string} postfix The postfix, so top, bottom, left, right, start
+	 *                         or end. Can be left null or empty for all.
 	 * @param {string} value The value.
 	 * @param {boolean} important Optional. If the !important statement should
 	 *                            be added.
 	 * @return {CSSBuilder} This object.
 	 */
 	this.autoPadding = function(postfix, value, important) {
-		var property = "";
+		if (!CSSValue.isNegative(value)) {
+			this.padding(postfix, value, important);
+			this.margin(postfix, 0, important);
+		} else {
+			this.padding(postfix, 0, important);
+			this.margin(postfix, value, important);
+		}
+		
+		return this;
+	};
+	
+	/**
+	 * Sets the background from the given object. Only the given parts are set.
+	 *
+	 * @param {Object} background The background, an object with the optional
+	 *                            keys attachment, clip, color, image, origin,
+	 *                            position, repeat and size. The image can
+	 *                            either be a complete value like "none" or
+	 *                            "linear-gradient(...)" or a plain URL.
+	 * @param {boolean} important Optional. If the !important statement should
+	 *                            be added.
+	 * @return {CSSBuilder} This object.
+	 */
+	this.background = function(background, important) {
+		var values = shallowCopy(background);
 		
-		if (postfix != null && postfix !== "") {
-			property = property + "-" + postfix;
+		if (values.image != null && !/^(none|[-a-z]+\(.*\))$/i.test(values.image)) {
+			values.image = "url(\"" + values.image + "\")";
 		}
 		
-		if (value >= 0) {
-			this.add("padding" + property, this.addUnit(value), important);
-			this.add("margin" + property, "0px", important);
-		} else {
-			this.add("padding" + property, "0px", important);
-			this.add("margin" + property, this.addUnit(value), important);
+		addMapped(this, {
+			attachment : [ "background-attachment" ],
+			clip : [ "background-clip" ],
+			color : [ "background-color" ],
+			image : [ "background-image" ],
+			origin : [ "background-origin" ],
+			position : [ "background-position", this.defaultUnit ],
+			repeat : [ "background-repeat" ],
+			size : [ "background-size", this.defaultUnit ]
+		}, values, important);
+		
+		return this;
+	};
+	
+	/**
+	 * Sets the background color.
+	 *
+	 * @param color The color, either a string or a CSSColor.
+	 * @param {boolean} important Optional. If the !important statement should
+	 *                            be added.
+	 * @return {CSSBuilder} This object.
+	 */
+	this.backgroundColor = function(color, important) {
+		this.add("background-color", color, important);
+		
+		return this;
+	};
+	
+	/**
+	 * Sets the border from the given object. Only the given parts are set.
+	 *
+	 * @param {Object} border The border, an object with the optional keys
+	 *                        color, radius, sides, style and width. The sides
+	 *                        can be a single side or an array of sides (top,
+	 *                        bottom, left, right, start or end), all sides
+	 *                        are used if they are omitted. The radius is
+	 *                        always set for the whole box.
+	 * @param {boolean} important Optional. If the !important statement should
+	 *                            be added.
+	 * @return {CSSBuilder} This object.
+	 */
+	this.border = function(border, important) {
+		var sides = border.sides;
+		var values = shallowCopy(border);
+		
+		delete values.sides;
+		
+		if (values.radius != null) {
+			this.add("border-radius", this.addUnit(values.radius), important);
+			delete values.radius;
+		}
+		
+		if (sides == null || sides === "") {
+			sides = [ null ];
+		} else if (typeof sides === "string") {
+			sides = [ sides ];
+		}
+		
+		addMapped(this, {
+			color : [ "-color" ],
+			style : [ "-style" ],
+			width : [ "-width", this.defaultUnit ]
+		}, values, important, function(suffix, value) {
+			for (var index = 0; index < sides.length; index++) {
+				this.addSide("border", sides[index], suffix, value, important);
+			}
+		});
+		
+		return this;
+	};
+	
+	/**
+	 * Sets the border color for the given postfix (if any).
+	 *
+	 * @param {string} postfix The postfix, so top, bottom, left, right, start
+	 *                         or end. Can be null or empty for all.
+	 * @param color The color, either a string or a CSSColor.
+	 * @param {boolean} important Optional. If the !important statement should
+	 *                            be added.
+	 * @return {CSSBuilder} This object.
+	 */
+	this.borderColor = function(postfix, color, important) {
+		return this.addSide("border", postfix, "-color", color, important);
+	};
+	
+	/**
+	 * Sets the XUL box layout from the given object. Only the given parts are
+	 * set.
+	 *
+	 * @param {Object} box The box layout, an object with the optional keys
+	 *                     align, direction, flex, ordinalGroup, orient and
+	 *                     pack.
+	 * @param {boolean} important Optional. If the !important statement should
+	 *                            be added.
+	 * @return {CSSBuilder} This object.
+	 */
+	this.box = function(box, important) {
+		addMapped(this, {
+			align : [ "-moz-box-align" ],
+			direction : [ "-moz-box-direction" ],
+			flex : [ "-moz-box-flex", "" ],
+			ordinalGroup : [ "-moz-box-ordinal-group", "" ],
+			orient : [ "-moz-box-orient" ],
+			pack : [ "-moz-box-pack" ]
+		}, box, important);
+		
+		return this;
+	};
+	
+	/**
+	 * Creates a copy of this CSSBuilder, including its settings, which can be
+	 * modified independently.
+	 *
+	 * @return {CSSBuilder} The copy.
+	 */
+	this.clone = function() {
+		var clone = new CSSBuilder(this.selector, this.important);
+		clone.setDefaultUnit(this.defaultUnit);
+		clone.setLogicalProperties(this.logicalProperties);
+		clone.setName(this.name);
+		
+		for (var property in this.declarations) {
+			var declaration = this.declarations[property];
+			clone.add(property, declaration.value, declaration.important);
 		}
 		
+		return clone;
+	};
+	
+	/**
+	 * Sets the (foreground) color.
+	 *
+	 * @param color The color, either a string or a CSSColor.
+	 * @param {boolean} important Optional. If the !important statement should
+	 *                            be added.
+	 * @return {CSSBuilder} This object.
+	 */
+	this.color = function(color, important) {
+		this.add("color", color, important);
+		
+		return this;
+	};
+	
+	/**
+	 * Sets the flexbox properties from the given object. Only the given parts
+	 * are set, both the properties of the container and of the items can be
+	 * set.
+	 *
+	 * @param {Object} flex The flexbox properties, an object with the optional
+	 *                      keys alignContent, alignItems, alignSelf, basis,
+	 *                      direction, display (for example "flex" or
+	 *                      "inline-flex"), gap, grow, justifyContent, order,
+	 *                      shrink and wrap.
+	 * @param {boolean} important Optional. If the !important statement should
+	 *                            be added.
+	 * @return {CSSBuilder} This object.
+	 */
+	this.flex = function(flex, important) {
+		addMapped(this, {
+			alignContent : [ "align-content" ],
+			alignItems : [ "align-items" ],
+			alignSelf : [ "align-self" ],
+			basis : [ "flex-basis", this.defaultUnit ],
+			direction : [ "flex-direction" ],
+			display : [ "display" ],
+			gap : [ "gap", this.defaultUnit ],
+			grow : [ "flex-grow", "" ],
+			justifyContent : [ "justify-content" ],
+			order : [ "order", "" ],
+			shrink : [ "flex-shrink", "" ],
+			wrap : [ "flex-wrap" ]
+		}, flex, important);
+		
+		return this;
+	};
+	
+	/**
+	 * Sets the font from the given object. Only the given parts are set.
+	 *
+	 * @param {Object} font The font, an object with the optional keys family,
+	 *                      lineHeight (plain numbers stay without a unit),
+	 *                      size, style, variant and weight.
+	 * @param {boolean} important Optional. If the !important statement should
+	 *                            be added.
+	 * @return {CSSBuilder} This object.
+	 */
+	this.font = function(font, important) {
+		addMapped(this, {
+			family : [ "font-family" ],
+			lineHeight : [ "line-height", "" ],
+			size : [ "font-size", this.defaultUnit ],
+			style : [ "font-style" ],
+			variant : [ "font-variant" ],
+			weight : [ "font-weight" ]
+		}, font, important);
+		
 		return this;
 	};
 	
@@ -196,7 +502,7 @@ var CSSBuilder = function(selector, important) {
 	 *                            be added.
 	 * @return {CSSBuilder} This object.
 	 */
-	this.forceWidth = function(value) {
+	this.forceWidth = function(value, important) {
 		this.add("width", this.addUnit(value), important);
 		this.add("min-width", this.addUnit(value), important);
 		this.add("max-width", this.addUnit(value), important);
@@ -204,6 +510,33 @@ var CSSBuilder = function(selector, important) {
 		return this;
 	};
 	
+	/**
+	 * Gets the value of the given property.
+	 *
+	 * @param {string} property The property.
+	 * @return {string} The value of the property (without the !important
+	 *                  statement), or null if the property is not set.
+	 */
+	this.get = function(property) {
+		var declaration = this.declarations[normalizeProperty(property)];
+		
+		if (declaration != null) {
+			return declaration.value;
+		}
+		
+		return null;
+	};
+	
+	/**
+	 * Checks if the given property is set.
+	 *
+	 * @param {string} property The property.
+	 * @return {boolean} true if the property is set.
+	 */
+	this.has = function(property) {
+		return this.declarations.hasOwnProperty(normalizeProperty(property));
+	};
+	
 	/**
 	 * Sets the height to the given value.
 	 *
@@ -230,26 +563,33 @@ var CSSBuilder = function(selector, important) {
 		return this;
 	};
 	
+	/**
+	 * Sets the inset (position) for the given postfix (if any) to the given
+	 * value.
+	 *
+	 * @param {string} postfix The postfix, so top, bottom, left, right, start
+	 *                         or end. Can be null or empty for all.
+	 * @param {string} value The value for the inset.
+	 * @param {boolean} important Optional. If the !important statement should
+	 *                            be added.
+	 * @return {CSSBuilder} This object.
+	 */
+	this.inset = function(postfix, value, important) {
+		return this.addSide("inset", postfix, "", this.addUnit(value), important);
+	};
+	
 	/**
 	 * Sets the margin for the given postfix (if any) to the given value.
 	 *
-	 * @param {string} postfix The postfix, so top, bottom, left or right. Can
-	 *                         be null or empty for all.
+	 * @param {string} postfix The postfix, so top, bottom, left, right, start
+	 *                         or end. Can be null or empty for all.
 	 * @param {string} value The value for the margin.
 	 * @param {boolean} important Optional. If the !important statement should
 	 *                            be added.
 	 * @return {CSSBuilder} This object.
 	 */
 	this.margin = function(postfix, value, important) {
-		var declaration = "";
-		
-		if (postfix != null && postfix !== "") {
-			declaration = declaration + "-" + postfix;
-		}
-		
-		this.add("margin" + declaration, this.addUnit(value), important);
-		
-		return this;
+		return this.addSide("margin", postfix, "", this.addUnit(value), important);
 	};
 	
 	/**
@@ -261,7 +601,7 @@ var CSSBuilder = function(selector, important) {
 	 * @return {CSSBuilder} This object.
 	 */
 	this.maxHeight = function(value, important) {
-		this.add("max-Height", this.addUnit(value), important);
+		this.add("max-height", this.addUnit(value), important);
 		
 		return this;
 	};
@@ -289,7 +629,7 @@ var CSSBuilder = function(selector, important) {
 	 * @return {CSSBuilder} This object.
 	 */
 	this.minHeight = function(value, important) {
-		this.add("min-Height", this.addUnit(value), important);
+		this.add("min-height", this.addUnit(value), important);
 		
 		return this;
 	};
@@ -308,24 +648,62 @@ var CSSBuilder = function(selector, important) {
 		return this;
 	};
 	
+	/**
+	 * Sets the opacity.
+	 *
+	 * @param {number} value The opacity, 0 to 1.
+	 * @param {boolean} important Optional. If the !important statement should
+	 *                            be added.
+	 * @return {CSSBuilder} This object.
+	 */
+	this.opacity = function(value, important) {
+		this.add("opacity", value, important);
+		
+		return this;
+	};
+	
+	/**
+	 * Sets the outline from the given object. Only the given parts are set.
+	 *
+	 * @param {Object} outline The outline, an object with the optional keys
+	 *                         color, offset, style and width.
+	 * @param {boolean} important Optional. If the !important statement should
+	 *                            be added.
+	 * @return {CSSBuilder} This object.
+	 */
+	this.outline = function(outline, important) {
+		addMapped(this, {
+			color : [ "outline-color" ],
+			offset : [ "outline-offset", this.defaultUnit ],
+			style : [ "outline-style" ],
+			width : [ "outline-width", this.defaultUnit ]
+		}, outline, important);
+		
+		return this;
+	};
+	
 	/**
 	 * Sets the padding for the given postfix (if any) to the given value.
 	 *
-	 * @param postfix The postfix, so top, bottom, left or right. Can be null or
-	 *            empty for all.
+	 * @param postfix The postfix, so top, bottom, left, right, start or end.
+	 *            Can be null or empty for all.
 	 * @param {string} value The value for the margin.
 	 * @param {boolean} important Optional. If the !important statement should
 	 *                            be added.
 	 * @return {CSSBuilder} This object.
 	 */
 	this.padding = function(postfix, value, important) {
-		var property = "padding";
-		
-		if (postfix != null && postfix !== "") {
-			property = property + "-" + postfix;
-		}
-		
-		this.add(property, this.addUnit(value), important);
+		return this.addSide("padding", postfix, "", this.addUnit(value), important);
+	};
+	
+	/**
+	 * Removes the given property.
+	 *
+	 * @param {string} property The property to remove.
+	 * @return {CSSBuilder} This object.
+	 */
+	this.remove = function(property) {
+		delete this.declarations[normalizeProperty(property)];
 		
 		return this;
 	};
@@ -339,13 +717,145 @@ var CSSBuilder = function(selector, important) {
 		this.important = important;
 	};
 	
+	/**
+	 * Sets the unit which is added to values without one.
+	 *
+	 * @param {string} unit The new default unit, for example "em". Can be an
+	 *                      empty string for no unit at all.
+	 */
+	this.setDefaultUnit = function(unit) {
+		this.defaultUnit = unit;
+	};
+	
+	/**
+	 * Sets which properties are emitted for the logical sides (start and end)
+	 * by the padding, margin, border and inset helpers.
+	 *
+	 * @param {string} logicalProperties CSSBuilder.LOGICAL_LEGACY for the
+	 *                                   old -moz- prefixed properties,
+	 *                                   CSSBuilder.LOGICAL_STANDARD for the
+	 *                                   standard logical properties or
+	 *                                   CSSBuilder.LOGICAL_BOTH for both.
+	 */
+	this.setLogicalProperties = function(logicalProperties) {
+		this.logicalProperties = logicalProperties;
+	};
+	
+	/**
+	 * Sets the name of this CSSBuilder, which is used for annotating the CSS.
+	 *
+	 * @param {string} name The name.
+	 * @return {CSSBuilder} This object.
+	 */
+	this.setName = function(name) {
+		this.name = name;
+		
+		return this;
+	};
+	
 	/**
 	 * Returns the CSS representation of this class.
 	 *
+	 * @param {string} format Optional. The format, see CSSFormatter. Defaults
+	 *                        to CSSFormatter.DEFAULT.
+	 * @param {number} depth Optional. The nesting depth, used for indenting.
 	 * @return {string} The CSS string.
 	 */
-	this.toCSS = function() {
-		return this.selector + " {\n" + this.declarations + "}";
+	this.toCSS = function(format, depth) {
+		depth = depth || 0;
+		
+		var items = [];
+		
+		for (var property in this.declarations) {
+			var declaration = this.declarations[property];
+			items.push(CSSFormatter.declaration(property, declaration.value, declaration.important, format, depth));
+		}
+		
+		var comment = CSSFormatter.comment((this.name != null ? "builder: " + this.name : null), format, depth);
+		
+		return comment + CSSFormatter.block(this.selector, items, format, depth);
+	};
+	
+	/**
+	 * Sets the transform.
+	 *
+	 * @param transform The transform, either a string or an object which maps
+	 *                  the transform functions to their arguments, for example
+	 *                  { translateX : 4, rotate : 90 }. Plain numbers get the
+	 *                  default unit for translations and "deg" for rotations
+	 *                  and skews, scales stay without a unit.
+	 * @param {boolean} important Optional. If the !important statement should
+	 *                            be added.
+	 * @return {CSSBuilder} This object.
+	 */
+	this.transform = function(transform, important) {
+		if (typeof transform === "object" && transform !== null && typeof transform.toCSS !== "function") {
+			var functions = [];
+			
+			for (var name in transform) {
+				var unit = this.defaultUnit;
+				
+				if (/^(rotate|skew)/.test(name)) {
+					unit = "deg";
+				} else if (/^(scale|matrix)/.test(name)) {
+					unit = "";
+				}
+				
+				var parameters = [].concat(transform[name]);
+				
+				for (var index = 0; index < parameters.length; index++) {
+					parameters[index] = CSSValue.format(parameters[index], unit);
+				}
+				
+				functions.push(name + "(" + parameters.join(", ") + ")");
+			}
+			
+			transform = functions.join(" ");
+		}
+		
+		this.add("transform", transform, important);
+		
+		return this;
+	};
+	
+	/**
+	 * Sets the transition of the given properties.
+	 *
+	 * @param properties The property or an array of properties which should
+	 *                   be transitioned, can also be "all".
+	 * @param {Object} options Optional. An object with the optional keys
+	 *                         delay, duration and timingFunction. Plain
+	 *                         numbers for delay and duration are
+	 *                         milliseconds.
+	 * @param {boolean} important Optional. If the !important statement should
+	 *                            be added.
+	 * @return {CSSBuilder} This object.
+	 */
+	this.transition = function(properties, options, important) {
+		this.add("transition-property", [].concat(properties).join(", "), important);
+		
+		addMapped(this, {
+			delay : [ "transition-delay", "ms" ],
+			duration : [ "transition-duration", "ms" ],
+			timingFunction : [ "transition-timing-function" ]
+		}, options, important);
+		
+		return this;
+	};
+	
+	/**
+	 * Sets the visibility.
+	 *
+	 * @param {string} value The visibility, for example "hidden" or
+	 *                       "collapse".
+	 * @param {boolean} important Optional. If the !important statement should
+	 *                            be added.
+	 * @return {CSSBuilder} This object.
+	 */
+	this.visibility = function(value, important) {
+		this.add("visibility", value, important);
+		
+		return this;
 	};
 	
 	/**
@@ -363,3 +873,233 @@ var CSSBuilder = function(selector, important) {
 	};
 };
 
+/** Emit only the old -moz- prefixed logical properties. */
+CSSBuilder.LOGICAL_LEGACY = "legacy";
+
+/** Emit only the standard logical properties. */
+CSSBuilder.LOGICAL_STANDARD = "standard";
+
+/**
+ * Emit both, the old -moz- prefixed and the standard logical properties, the
+ * browser ignores the ones it does not know.
+ */
+CSSBuilder.LOGICAL_BOTH = "both";
+
+/**
+ * Creates a new CSSBuilder from the given CSS string. The string can either be
+ * a complete rule ("selector { declarations }") or only the declarations, in
+ * which case the selector will be empty.
+ *
+ * @param {string} text The CSS string to parse.
+ * @param {boolean} important Optional. The default value for if !important
+ *                            should be added to declarations which are added
+ *                            later on. The parsed declarations keep their
+ *                            own !important statement.
+ * @return {CSSBuilder} The new CSSBuilder.
+ */
+CSSBuilder.fromCSS = function(text, important) {
+	text = removeComments(text);
+	
+	var selector = "";
+	var body = text;
+	var start = text.indexOf("{");
+	
+	if (start >= 0) {
+		var end = text.lastIndexOf("}");
+		
+		if (end < start || text.substring(end + 1).trim() !== "") {
+			throw "Cannot parse \"" + text + "\" as a single rule.";
+		}
+		
+		selector = text.substring(0, start).trim();
+		body = text.substring(start + 1, end);
+	}
+	
+	var builder = new CSSBuilder(selector, important);
+	var declarations = split(body, ";");
+	
+	for (var index = 0; index < declarations.length; index++) {
+		var declaration = declarations[index].trim();
+		
+		if (declaration !== "") {
+			var separator = declaration.indexOf(":");
+			
+			if (separator <= 0) {
+				throw "Cannot parse \"" + declaration + "\" as declaration.";
+			}
+			
+			var property = declaration.substring(0, separator).trim();
+			var value = declaration.substring(separator + 1).trim();
+			var importantMatch = /\s*!\s*important$/i.exec(value);
+			
+			if (importantMatch !== null) {
+				value = value.substring(0, importantMatch.index);
+			}
+			
+			builder.add(property, value, importantMatch !== null);
+		}
+	}
+	
+	return builder;
+};
+
+/**
+ * Adds the values of the given object to the given builder, by using the given
+ * mapping of the keys to the properties. Only keys which are present in the
+ * object and not null are added.
+ *
+ * @param {CSSBuilder} builder The builder.
+ * @param {Object} mapping The mapping of the keys to an array holding the
+ *                         property and optionally the unit to add to plain
+ *                         numbers. If no unit is given, the value is used as
+ *                         it is.
+ * @param {Object} values The values.
+ * @param {boolean} important If the !important statement should be added.
+ * @param {function} add Optional. The function which is invoked with the
+ *                       builder as this and the property and value, instead
+ *                       of adding the property directly.
+ */
+function addMapped(builder, mapping, values, important, add) {
+	for (var key in values) {
+		var target = mapping[key];
+		
+		if (typeof target === "undefined") {
+			throw "Unknown key \"" + key + "\", expected one of " + Object.keys(mapping).join(", ") + ".";
+		}
+		
+		var value = values[key];
+		
+		if (value != null) {
+			if (target.length > 1) {
+				value = CSSValue.format(value, target[1]);
+			}
+			
+			if (typeof add === "function") {
+				add.call(builder, target[0], value);
+			} else {
+				builder.add(target[0], value, important);
+			}
+		}
+	}
+}
+
+/**
+ * Normalizes the given property name, means it is trimmed and converted to
+ * lower case. Custom properties (starting with "--") are case sensitive and
+ * are only trimmed.
+ *
+ * @param {string} property The property name.
+ * @return {string} The normalized property name.
+ */
+function normalizeProperty(property) {
+	property = String(property).trim();
+	
+	if (property.indexOf("--") === 0) {
+		return property;
+	}
+	
+	return property.toLowerCase();
+}
+
+/**
+ * Removes all comments from the given CSS string, comments inside of strings
+ * are left untouched.
+ *
+ * @param {string} text The CSS string.
+ * @return {string} The CSS string without comments.
+ */
+function removeComments(text) {
+	var result = "";
+	var quote = null;
+	
+	for (var index = 0; index < text.length; index++) {
+		var character = text.charAt(index);
+		
+		if (quote !== null) {
+			if (character === "\\") {
+				result = result + character;
+				index++;
+				character = text.charAt(index);
+			} else if (character === quote) {
+				quote = null;
+			}
+		} else if (character === "\"" || character === "'") {
+			quote = character;
+		} else if (character === "/" && text.charAt(index + 1) === "*") {
+			var end = text.indexOf("*/", index + 2);
+			
+			if (end < 0) {
+				break;
+			}
+			
+			index = end + 1;
+			continue;
+		}
+		
+		result = result + character;
+	}
+	
+	return result;
+}
+
+/**
+ * Creates a shallow copy of the given object.
+ *
+ * @param {Object} object The object to copy.
+ * @return {Object} The copy.
+ */
+function shallowCopy(object) {
+	var copy = {};
+	
+	for (var key in object) {
+		copy[key] = object[key];
+	}
+	
+	return copy;
+}
+
+/**
+ * Splits the given CSS string at the given separator, but only if the
+ * separator is not inside of a string or inside parentheses.
+ *
+ * @param {string} text The CSS string.
+ * @param {string} separator The separator, a single character.
+ * @return {Array} The parts.
+ */
+function split(text, separator) {
+	var parts = [];
+	var part = "";
+	var depth = 0;
+	var quote = null;
+	
+	for (var index = 0; index < text.length; index++) {
+		var character = text.charAt(index);
+		
+		if (quote !== null) {
+			if (character === "\\") {
+				part = part + character;
+				index++;
+				character = text.charAt(index);
+			} else if (character === quote) {
+				quote = null;
+			}
+		} else if (character === "\"" || character === "'") {
+			quote = character;
+		} else if (character === "(" || character === "[") {
+			depth++;
+		} else if (character === ")" || character === "]") {
+			depth--;
+		} else if (character === separator && depth === 0) {
+			parts.push(part);
+			part = "";
+			continue;
+		}
+		
+		part = part + character;
+	}
+	
+	parts.push(part);
+	
+	return parts;
+}
+
@@ -0,0 +1,545 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ */
+
+"use strict";
+
+var EXPORTED_SYMBOLS = [ "CSSColor" ];
+
+/**
+ * A color which can be parsed from and converted to CSS, and which allows to
+ * derive other colors from it, for example a lighter shade for hover effects.
+ * All operations return a new CSSColor, the original is never modified. This
+ * class is plain JavaScript and does not depend on anything Firefox provides.
+ *
+ * @param {number} red The red channel, 0 to 255.
+ * @param {number} green The green channel, 0 to 255.
+ * @param {number} blue The blue channel, 0 to 255.
+ * @param {number} opacity Optional. The alpha channel, 0 to 1, defaults to 1.
+ */
+var CSSColor = function(red, green, blue, opacity) {
+	/** The red channel, 0 to 255. */
+	this.red = clamp(Math.round(red), 0, 255);
+	
+	/** The green channel, 0 to 255. */
+	this.green = clamp(Math.round(green), 0, 255);
+	
+	/** The blue channel, 0 to 255. */
+	this.blue = clamp(Math.round(blue), 0, 255);
+	
+	/** The alpha channel, 0 (transparent) to 1 (opaque). */
+	this.opacity = clamp((typeof opacity !== "undefined" ? opacity : 1), 0, 1);
+	
+	/**
+	 * Returns a copy of this color with the given alpha channel.
+	 *
+	 * @param {number} opacity The alpha channel, 0 to 1.
+	 * @return {CSSColor} The new color.
+	 */
+	this.alpha = function(opacity) {
+		return new CSSColor(this.red, this.green, this.blue, opacity);
+	};
+	
+	/**
+	 * Returns the one of the two given colors which has the better contrast to
+	 * this color, for example to find a readable text color for a background.
+	 *
+	 * @param dark Optional. The dark color, defaults to black.
+	 * @param light Optional. The light color, defaults to white.
+	 * @return {CSSColor} The color with the better contrast.
+	 */
+	this.contrast = function(dark, light) {
+		dark = CSSColor.parse(typeof dark !== "undefined" ? dark : "black");
+		light = CSSColor.parse(typeof light !== "undefined" ? light : "white");
+		
+		if (this.contrastRatio(dark) >= this.contrastRatio(light)) {
+			return dark;
+		}
+		
+		return light;
+	};
+	
+	/**
+	 * Calculates the contrast ratio between this and the given color, as
+	 * defined by the WCAG.
+	 *
+	 * @param color The other color.
+	 * @return {number} The contrast ratio, 1 to 21.
+	 */
+	this.contrastRatio = function(color) {
+		var luminance = this.getLuminance();
+		var otherLuminance = CSSColor.parse(color).getLuminance();
+		
+		return (Math.max(luminance, otherLuminance) + 0.05) / (Math.min(luminance, otherLuminance) + 0.05);
+	};
+	
+	/**
+	 * Returns a darker version of this color.
+	 *
+	 * @param {number} amount The amount by which the lightness is decreased,
+	 *                        0 to 1.
+	 * @return {CSSColor} The new color.
+	 */
+	this.darken = function(amount) {
+		return this.lighten(-amount);
+	};
+	
+	/**
+	 * Calculates the relative luminance of this color, as defined by the WCAG.
+	 *
+	 * @return {number} The relative luminance, 0 (black) to 1 (white).
+	 */
+	this.getLuminance = function() {
+		var channels = [ this.red, this.green, this.blue ];
+		
+		for (var index = 0; index < channels.length; index++) {
+			var channel = channels[index] / 255;
+			
+			if (channel <= 0.03928) {
+				channels[index] = channel / 12.92;
+			} else {
+				channels[index] = Math.pow((channel + 0.055) / 1.055, 2.4);
+			}
+		}
+		
+		return 0.2126 * channels[0] + 0.7152 * channels[1] + 0.0722 * channels[2];
+	};
+	
+	/**
+	 * Returns a lighter version of this color.
+	 *
+	 * @param {number} amount The amount by which the lightness is increased,
+	 *                        0 to 1.
+	 * @return {CSSColor} The new color.
+	 */
+	this.lighten = function(amount) {
+		var hsl = this.toHSL();
+		
+		return CSSColor.fromHSL(hsl.hue, hsl.saturation, clamp(hsl.lightness + amount, 0, 1), this.opacity);
+	};
+	
+	/**
+	 * Mixes this color with the given color.
+	 *
+	 * @param color The color to mix with.
+	 * @param {number} weight Optional. The weight of the given color, 0 (only
+	 *                        this color) to 1 (only the given color), defaults
+	 *                        to 0.5.
+	 * @return {CSSColor} The new color.
+	 */
+	this.mix = function(color, weight) {
+		color = CSSColor.parse(color);
+		weight = clamp((typeof weight !== "undefined" ? weight : 0.5), 0, 1);
+		
+		return new CSSColor(
+			this.red + (color.red - this.red) * weight,
+			this.green + (color.green - this.green) * weight,
+			this.blue + (color.blue - this.blue) * weight,
+			this.opacity + (color.opacity - this.opacity) * weight);
+	};
+	
+	/**
+	 * Returns the CSS representation of this color, a hex value for opaque
+	 * colors and rgba() otherwise.
+	 *
+	 * @return {string} The CSS string.
+	 */
+	this.toCSS = function() {
+		if (this.opacity === 1) {
+			return this.toHex();
+		}
+		
+		return "rgba(" + this.red + ", " + this.green + ", " + this.blue + ", " + parseFloat(this.opacity.toFixed(3)) + ")";
+	};
+	
+	/**
+	 * Returns the hex representation of this color, without the alpha
+	 * channel.
+	 *
+	 * @return {string} The hex value, for example "#ff0000".
+	 */
+	this.toHex = function() {
+		var hex = "#";
+		var channels = [ this.red, this.green, this.blue ];
+		
+		for (var index = 0; index < channels.length; index++) {
+			hex = hex + (channels[index] < 16 ? "0" : "") + channels[index].toString(16);
+		}
+		
+		return hex;
+	};
+	
+	/**
+	 * Returns the HSL representation of this color.
+	 *
+	 * @return {Object} An object with the hue (0 to 360), saturation (0 to 1),
+	 *                  lightness (0 to 1) and opacity (0 to 1).
+	 */
+	this.toHSL = function() {
+		var red = this.red / 255;
+		var green = this.green / 255;
+		var blue = this.blue / 255;
+		
+		var max = Math.max(red, green, blue);
+		var min = Math.min(red, green, blue);
+		var delta = max - min;
+		
+		var hue = 0;
+		var saturation = 0;
+		var lightness = (max + min) / 2;
+		
+		if (delta !== 0) {
+			saturation = delta / (1 - Math.abs(2 * lightness - 1));
+			
+			if (max === red) {
+				hue = ((green - blue) / delta) % 6;
+			} else if (max === green) {
+				hue = (blue - red) / delta + 2;
+			} else {
+				hue = (red - green) / delta + 4;
+			}
+			
+			hue = (hue * 60 + 360) % 360;
+		}
+		
+		return {
+			hue : hue,
+			lightness : lightness,
+			opacity : this.opacity,
+			saturation : saturation
+		};
+	};
+	
+	/**
+	 * Returns the CSS representation of this color.
+	 *
+	 * @return {string} The CSS string.
+	 */
+	this.toString = function() {
+		return this.toCSS();
+	};
+};
+
+/** The named colors as defined by CSS, mapped to their hex value. */
+CSSColor.NAMES = {
+	aliceblue : "#f0f8ff",
+	antiquewhite : "#faebd7",
+	aqua : "#00ffff",
+	aquamarine : "#7fffd4",
+	azure : "#f0ffff",
+	beige : "#f5f5dc",
+	bisque : "#ffe4c4",
+	black : "#000000",
+	blanchedalmond : "#ffebcd",
+	blue : "#0000ff",
+	blueviolet : "#8a2be2",
+	brown : "#a52a2a",
+	burlywood : "#deb887",
+	cadetblue : "#5f9ea0",
+	chartreuse : "#7fff00",
+	chocolate : "#d2691e",
+	coral : "#ff7f50",
+	cornflowerblue : "#6495ed",
+	cornsilk : "#fff8dc",
+	crimson : "#dc143c",
+	cyan : "#00ffff",
+	darkblue : "#00008b",
+	darkcyan : "#008b8b",
+	darkgoldenrod : "#b8860b",
+	darkgray : "#a9a9a9",
+	darkgreen : "#006400",
+	darkgrey : "#a9a9a9",
+	darkkhaki : "#bdb76b",
+	darkmagenta : "#8b008b",
+	darkolivegreen : "#556b2f",
+	darkorange : "#ff8c00",
+	darkorchid : "#9932cc",
+	darkred : "#8b0000",
+	darksalmon : "#e9967a",
+	darkseagreen : "#8fbc8f",
+	darkslateblue : "#483d8b",
+	darkslategray : "#2f4f4f",
+	darkslategrey : "#2f4f4f",
+	darkturquoise : "#00ced1",
+	darkviolet : "#9400d3",
+	deeppink : "#ff1493",
+	deepskyblue : "#00bfff",
+	dimgray : "#696969",
+	dimgrey : "#696969",
+	dodgerblue : "#1e90ff",
+	firebrick : "#b22222",
+	floralwhite : "#fffaf0",
+	forestgreen : "#228b22",
+	fuchsia : "#ff00ff",
+	gainsboro : "#dcdcdc",
+	ghostwhite : "#f8f8ff",
+	gold : "#ffd700",
+	goldenrod : "#daa520",
+	gray : "#808080",
+	green : "#008000",
+	greenyellow : "#adff2f",
+	grey : "#808080",
+	honeydew : "#f0fff0",
+	hotpink : "#ff69b4",
+	indianred : "#cd5c5c",
+	indigo : "#4b0082",
+	ivory : "#fffff0",
+	khaki : "#f0e68c",
+	lavender : "#e6e6fa",
+	lavenderblush : "#fff0f5",
+	lawngreen : "#7cfc00",
+	lemonchiffon : "#fffacd",
+	lightblue : "#add8e6",
+	lightcoral : "#f08080",
+	lightcyan : "#e0ffff",
+	lightgoldenrodyellow : "#fafad2",
+	lightgray : "#d3d3d3",
+	lightgreen : "#90ee90",
+	lightgrey : "#d3d3d3",
+	lightpink : "#ffb6c1",
+	lightsalmon : "#ffa07a",
+	lightseagreen : "#20b2aa",
+	lightskyblue : "#87cefa",
+	lightslategray : "#778899",
+	lightslategrey : "#778899",
+	lightsteelblue : "#b0c4de",
+	lightyellow : "#ffffe0",
+	lime : "#00ff00",
+	limegreen : "#32cd32",
+	linen : "#faf0e6",
+	magenta : "#ff00ff",
+	maroon : "#800000",
+	mediumaquamarine : "#66cdaa",
+	mediumblue : "#0000cd",
+	mediumorchid : "#ba55d3",
+	mediumpurple : "#9370db",
+	mediumseagreen : "#3cb371",
+	mediumslateblue : "#7b68ee",
+	mediumspringgreen : "#00fa9a",
+	mediumturquoise : "#48d1cc",
+	mediumvioletred : "#c71585",
+	midnightblue : "#191970",
+	mintcream : "#f5fffa",
+	mistyrose : "#ffe4e1",
+	moccasin : "#ffe4b5",
+	navajowhite : "#ffdead",
+	navy : "#000080",
+	oldlace : "#fdf5e6",
+	olive : "#808000",
+	olivedrab : "#6b8e23",
+	orange : "#ffa500",
+	orangered : "#ff4500",
+	orchid : "#da70d6",
+	palegoldenrod : "#eee8aa",
+	palegreen : "#98fb98",
+	paleturquoise : "#afeeee",
+	palevioletred : "#db7093",
+	papayawhip : "#ffefd5",
+	peachpuff : "#ffdab9",
+	peru : "#cd853f",
+	pink : "#ffc0cb",
+	plum : "#dda0dd",
+	powderblue : "#b0e0e6",
+	purple : "#800080",
+	rebeccapurple : "#663399",
+	red : "#ff0000",
+	rosybrown : "#bc8f8f",
+	royalblue : "#4169e1",
+	saddlebrown : "#8b4513",
+	salmon : "#fa8072",
+	sandybrown : "#f4a460",
+	seagreen : "#2e8b57",
+	seashell : "#fff5ee",
+	sienna : "#a0522d",
+	silver : "#c0c0c0",
+	skyblue : "#87ceeb",
+	slateblue : "#6a5acd",
+	slategray : "#708090",
+	slategrey : "#708090",
+	snow : "#fffafa",
+	springgreen : "#00ff7f",
+	steelblue : "#4682b4",
+	tan : "#d2b48c",
+	teal : "#008080",
+	thistle : "#d8bfd8",
+	tomato : "#ff6347",
+	turquoise : "#40e0d0",
+	violet : "#ee82ee",
+	wheat : "#f5deb3",
+	white : "#ffffff",
+	whitesmoke : "#f5f5f5",
+	yellow : "#ffff00",
+	yellowgreen : "#9acd32"
+};
+
+/**
+ * Creates a new CSSColor from the given HSL values.
+ *
+ * @param {number} hue The hue in degrees.
+ * @param {number} saturation The saturation, 0 to 1.
+ * @param {number} lightness The lightness, 0 to 1.
+ * @param {number} opacity Optional. The alpha channel, 0 to 1, defaults to 1.
+ * @return {CSSColor} The new color.
+ */
+CSSColor.fromHSL = function(hue, saturation, lightness, opacity) {
+	hue = ((hue % 360) + 360) % 360;
+	saturation = clamp(saturation, 0, 1);
+	lightness = clamp(lightness, 0, 1);
+	
+	var chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+	var secondary = chroma * (1 - Math.abs((hue / 60) % 2 - 1));
+	var offset = lightness - chroma / 2;
+	var channels = null;
+	
+	if (hue < 60) {
+		channels = [ chroma, secondary, 0 ];
+	} else if (hue < 120) {
+		channels = [ secondary, chroma, 0 ];
+	} else if (hue < 180) {
+		channels = [ 0, chroma, secondary ];
+	} else if (hue < 240) {
+		channels = [ 0, secondary, chroma ];
+	} else if (hue < 300) {
+		channels = [ secondary, 0, chroma ];
+	} else {
+		channels = [ chroma, 0, secondary ];
+	}
+	
+	return new CSSColor(
+		(channels[0] + offset) * 255,
+		(channels[1] + offset) * 255,
+		(channels[2] + offset) * 255,
+		opacity);
+};
+
+/**
+ * Parses the given color. Supported are hex values (#rgb, #rgba, #rrggbb and
+ * #rrggbbaa), rgb(), rgba(), hsl(), hsla(), the named colors and
+ * "transparent".
+ *
+ * @param color The color to parse. If it is already a CSSColor, it is returned
+ *              as it is.
+ * @return {CSSColor} The parsed color.
+ */
+CSSColor.parse = function(color) {
+	if (color instanceof CSSColor) {
+		return color;
+	}
+	
+	var text = String(color).trim().toLowerCase();
+	
+	if (text === "transparent") {
+		return new CSSColor(0, 0, 0, 0);
+	}
+	
+	if (CSSColor.NAMES.hasOwnProperty(text)) {
+		text = CSSColor.NAMES[text];
+	}
+	
+	var match = /^#([0-9a-f]{3,8})$/.exec(text);
+	
+	if (match !== null) {
+		var hex = match[1];
+		
+		if (hex.length === 3 || hex.length === 4) {
+			hex = hex.replace(/(.)/g, "$1$1");
+		}
+		
+		if (hex.length === 6 || hex.length === 8) {
+			return new CSSColor(
+				parseInt(hex.substring(0, 2), 16),
+				parseInt(hex.substring(2, 4), 16),
+				parseInt(hex.substring(4, 6), 16),
+				(hex.length === 8 ? parseInt(hex.substring(6, 8), 16) / 255 : 1));
+		}
+	}
+	
+	match = /^(rgba?|hsla?)\((.*)\)$/.exec(text);
+	
+	if (match !== null) {
+		var parameters = match[2].trim().split(/\s*,\s*|\s*\/\s*|\s+/);
+		
+		if (parameters.length === 3 || parameters.length === 4) {
+			var opacity = (parameters.length === 4 ? parseChannel(parameters[3], 1) : 1);
+			
+			if (match[1].indexOf("rgb") === 0) {
+				return new CSSColor(
+					parseChannel(parameters[0], 255),
+					parseChannel(parameters[1], 255),
+					parseChannel(parameters[2], 255),
+					opacity);
+			}
+			
+			return CSSColor.fromHSL(
+				parseHue(parameters[0]),
+				parseChannel(parameters[1], 1),
+				parseChannel(parameters[2], 1),
+				opacity);
+		}
+	}
+	
+	throw "Cannot parse \"" + color + "\" as color.";
+};
+
+/**
+ * Clamps the given value to the given range.
+ *
+ * @param {number} value The value.
+ * @param {number} min The minimum.
+ * @param {number} max The maximum.
+ * @return {number} The clamped value.
+ */
+function clamp(value, min, max) {
+	if (isNaN(value)) {
+		throw "Cannot use \"" + value + "\" as color channel.";
+	}
+	
+	return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Parses the given channel value, which is either a plain number or a
+ * percentage.
+ *
+ * @param {string} value The value.
+ * @param {number} max The value which equals 100%.
+ * @return {number} The parsed value, NaN if it is not a valid number.
+ */
+function parseChannel(value, max) {
+	var match = /^([+-]?(?:\d+\.?\d*|\.\d+))(%?)$/.exec(value);
+	
+	if (match === null) {
+		return NaN;
+	}
+	
+	if (match[2] === "%") {
+		return parseFloat(match[1]) / 100 * max;
+	}
+	
+	return parseFloat(match[1]);
+}
+
+/**
+ * Parses the given hue, which is either a plain number (degrees) or has one
+ * of the units deg, grad, rad or turn.
+ *
+ * @param {string} value The value.
+ * @return {number} The hue in degrees.
+ */
+function parseHue(value) {
+	var number = parseFloat(value);
+	
+	if (/grad$/.test(value)) {
+		return number * 0.9;
+	} else if (/rad$/.test(value)) {
+		return number * 180 / Math.PI;
+	} else if (/turn$/.test(value)) {
+		return number * 360;
+	}
+	
+	return number;
+}
+
@@ -0,0 +1,159 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ */
+
+"use strict";
+
+var EXPORTED_SYMBOLS = [ "CSSDocument" ];
+
+Components.utils.import(__URI__.replace(/[^\/]*$/, "CSSFormatter.js"));
+
+/**
+ * A container which holds multiple rules (CSSBuilders, CSS strings or other
+ * CSSDocuments) and allows to group them into (nested) at-rules like @media,
+ * @supports or @-moz-document. The whole tree can then be converted into one
+ * CSS string at once.
+ *
+ * @param {string} atRule Optional. The name of the at-rule without the "@",
+ *                        for example "media". If omitted, the rules are not
+ *                        grouped at all.
+ * @param condition Optional. The condition of the at-rule, for example
+ *                  "screen and (max-width: 800px)". Can also be an object
+ *                  with a toCSS() function, like a DocumentMatcher.
+ */
+var CSSDocument = function(atRule, condition) {
+	/** The name of the at-rule which groups the rules, without the "@". */
+	this.atRule = atRule;
+	
+	/** The condition of the at-rule. */
+	this.condition = condition;
+	
+	/** The rules which are contained in this document. */
+	this.rules = [];
+	
+	/**
+	 * Adds the given rule.
+	 *
+	 * @param rule The rule to add. Can be either a string, a CSSBuilder or
+	 *             another CSSDocument.
+	 * @return {CSSDocument} This object.
+	 */
+	this.add = function(rule) {
+		if (typeof rule !== "string" && (rule == null || typeof rule.toCSS !== "function")) {
+			throw "Cannot use \"" + typeof rule + "\" as rule.";
+		}
+		
+		this.rules.push(rule);
+		
+		return this;
+	};
+	
+	/**
+	 * Removes all rules from this document.
+	 *
+	 * @return {CSSDocument} This object.
+	 */
+	this.clear = function() {
+		this.rules = [];
+		
+		return this;
+	};
+	
+	/**
+	 * Adds a new @-moz-document group with the given condition.
+	 *
+	 * @param condition The condition, for example
+	 *                  "url-prefix(http://www.mozilla.org/)", or a
+	 *                  DocumentMatcher.
+	 * @return {CSSDocument} The new group.
+	 */
+	this.document = function(condition) {
+		return this.group("-moz-document", condition);
+	};
+	
+	/**
+	 * Adds a new group with the given at-rule and condition.
+	 *
+	 * @param {string} atRule The name of the at-rule without the "@".
+	 * @param {string} condition The condition of the at-rule.
+	 * @return {CSSDocument} The new group.
+	 */
+	this.group = function(atRule, condition) {
+		var group = new CSSDocument(atRule, condition);
+		
+		this.add(group);
+		
+		return group;
+	};
+	
+	/**
+	 * Adds a new @media group with the given condition.
+	 *
+	 * @param {string} condition The media query.
+	 * @return {CSSDocument} The new group.
+	 */
+	this.media = function(condition) {
+		return this.group("media", condition);
+	};
+	
+	/**
+	 * Adds a new @supports group with the given condition.
+	 *
+	 * @param {string} condition The condition, for example
+	 *                           "(display: flex)".
+	 * @return {CSSDocument} The new group.
+	 */
+	this.supports = function(condition) {
+		return this.group("supports", condition);
+	};
+	
+	/**
+	 * Returns the CSS representation of this document and all contained
+	 * rules.
+	 *
+	 * @param {string} format Optional. The format, see CSSFormatter. Defaults
+	 *                        to CSSFormatter.DEFAULT.
+	 * @param {number} depth Optional. The nesting depth, used for indenting.
+	 * @return {string} The CSS string.
+	 */
+	this.toCSS = function(format, depth) {
+		depth = depth || 0;
+		
+		var grouped = (this.atRule != null && this.atRule !== "");
+		var rules = [];
+		
+		for (var index = 0; index < this.rules.length; index++) {
+			var rule = this.rules[index];
+			
+			if (typeof rule === "string") {
+				if (format === CSSFormatter.MINIFIED) {
+					rule = CSSFormatter.minify(rule);
+				}
+			} else {
+				rule = rule.toCSS(format, (grouped ? depth + 1 : depth));
+			}
+			
+			if (rule !== null && rule !== "") {
+				rules.push(rule);
+			}
+		}
+		
+		if (grouped) {
+			var header = "@" + this.atRule;
+			
+			if (this.condition != null && typeof this.condition.toCSS === "function") {
+				header = header + " " + this.condition.toCSS();
+			} else if (this.condition != null && this.condition !== "") {
+				header = header + " " + this.condition;
+			}
+			
+			return CSSFormatter.block(header, rules, format, depth);
+		}
+		
+		return CSSFormatter.join(rules, format);
+	};
+};
+
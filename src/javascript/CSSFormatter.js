@@ -0,0 +1,177 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ */
+
+"use strict";
+
+var EXPORTED_SYMBOLS = [ "CSSFormatter" ];
+
+/**
+ * A utility which serializes CSS in one of multiple formats. It is used by
+ * CSSBuilder, CSSDocument, CSSKeyframes and StyleSheet, all of which accept
+ * one of the formats as optional parameter.
+ */
+var CSSFormatter = {
+	/** One declaration per line without any indentation. */
+	DEFAULT : "default",
+	
+	/** Everything on one line without any unnecessary whitespace. */
+	MINIFIED : "minified",
+	
+	/** One declaration per line, indented by the nesting depth. */
+	PRETTY : "pretty",
+	
+	/**
+	 * Like PRETTY, but with comments which name the fragment or builder that
+	 * produced each rule.
+	 */
+	ANNOTATED : "annotated",
+	
+	/**
+	 * Formats a block, like a rule or an at-rule.
+	 *
+	 * @param {string} header The header of the block, for example the
+	 *                        selector or "@media screen".
+	 * @param {Array} items The already formatted (and indented) items of the
+	 *                      block.
+	 * @param {string} format The format.
+	 * @param {number} depth The nesting depth of the block.
+	 * @return {string} The formatted block.
+	 */
+	block : function(header, items, format, depth) {
+		if (format === this.MINIFIED) {
+			return this.minify(header) + "{" + items.join("").replace(/;$/, "") + "}";
+		}
+		
+		var indentation = this.indent(format, depth);
+		
+		if (items.length === 0) {
+			return indentation + header + " {\n" + indentation + "}";
+		}
+		
+		return indentation + header + " {\n" + items.join("\n") + "\n" + indentation + "}";
+	},
+	
+	/**
+	 * Formats a comment, which is only emitted in the ANNOTATED format.
+	 *
+	 * @param {string} text The text of the comment.
+	 * @param {string} format The format.
+	 * @param {number} depth The nesting depth of the comment.
+	 * @return {string} The formatted comment including a trailing newline, or
+	 *                  an empty string.
+	 */
+	comment : function(text, format, depth) {
+		if (format !== this.ANNOTATED || text == null || text === "") {
+			return "";
+		}
+		
+		return this.indent(format, depth) + "/* " + String(text).replace(/\*\//g, "* /") + " */\n";
+	},
+	
+	/**
+	 * Formats a single declaration.
+	 *
+	 * @param {string} property The property.
+	 * @param {string} value The value.
+	 * @param {boolean} important If the !important statement should be added.
+	 * @param {string} format The format.
+	 * @param {number} depth The nesting depth of the block which contains the
+	 *                       declaration.
+	 * @return {string} The formatted declaration.
+	 */
+	declaration : function(property, value, important, format, depth) {
+		if (format === this.MINIFIED) {
+			return property + ":" + value + (important ? "!important" : "") + ";";
+		}
+		
+		return this.indent(format, depth + 1) + property + ": " + value + (important ? " !important" : "") + ";";
+	},
+	
+	/**
+	 * Returns the indentation for the given depth.
+	 *
+	 * @param {string} format The format.
+	 * @param {number} depth The nesting depth.
+	 * @return {string} The indentation, empty for all formats except PRETTY
+	 *                  and ANNOTATED.
+	 */
+	indent : function(format, depth) {
+		if ((format !== this.PRETTY && format !== this.ANNOTATED) || !(depth > 0)) {
+			return "";
+		}
+		
+		return new Array(depth + 1).join("\t");
+	},
+	
+	/**
+	 * Joins the given already formatted rules.
+	 *
+	 * @param {Array} rules The formatted rules.
+	 * @param {string} format The format.
+	 * @return {string} The joined rules.
+	 */
+	join : function(rules, format) {
+		if (format === this.MINIFIED) {
+			return rules.join("");
+		}
+		
+		return rules.join("\n");
+	},
+	
+	/**
+	 * Minifies the given CSS string, means that comments and all unnecessary
+	 * whitespace are removed. Strings are left untouched.
+	 *
+	 * @param {string} css The CSS string.
+	 * @return {string} The minified CSS string.
+	 */
+	minify : function(css) {
+		var result = "";
+		var quote = null;
+		var whitespace = false;
+		
+		for (var index = 0; index < css.length; index++) {
+			var character = css.charAt(index);
+			
+			if (quote !== null) {
+				if (character === "\\") {
+					result = result + character;
+					index++;
+					character = css.charAt(index);
+				} else if (character === quote) {
+					quote = null;
+				}
+			} else if (character === "/" && css.charAt(index + 1) === "*") {
+				var end = css.indexOf("*/", index + 2);
+				
+				index = (end >= 0 ? end + 1 : css.length);
+				continue;
+			} else if (/\s/.test(character)) {
+				whitespace = true;
+				continue;
+			} else {
+				if (whitespace && result !== "" && !/[{};,]$/.test(result) && "{};,".indexOf(character) < 0) {
+					result = result + " ";
+				}
+				
+				if (character === "}" && /;$/.test(result)) {
+					result = result.substring(0, result.length - 1);
+				}
+				
+				if (character === "\"" || character === "'") {
+					quote = character;
+				}
+			}
+			
+			whitespace = false;
+			result = result + character;
+		}
+		
+		return result;
+	}
+};
+
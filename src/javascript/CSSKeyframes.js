@@ -0,0 +1,130 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ */
+
+"use strict";
+
+var EXPORTED_SYMBOLS = [ "CSSKeyframes" ];
+
+Components.utils.import(__URI__.replace(/[^\/]*$/, "CSSBuilder.js"));
+Components.utils.import(__URI__.replace(/[^\/]*$/, "CSSFormatter.js"));
+
+/** The counter used for creating unique names. */
+var uniqueCounter = 0;
+
+/**
+ * The random token used for creating unique names, which differs for every
+ * add-on that loads this module.
+ */
+var uniqueToken = Math.random().toString(36).substring(2, 8);
+
+/**
+ * A builder for @keyframes rules. Every stop of the animation is backed by its
+ * own CSSBuilder. By default the given name is made unique, so that multiple
+ * add-ons can use the same name without their animations colliding, the
+ * actual name is available as "name" and should be used for referencing the
+ * keyframes, for example with CSSBuilder.animation().
+ *
+ * @param {string} name The name of the keyframes.
+ * @param {boolean} unique Optional. If the name should be made unique,
+ *                         defaults to true.
+ */
+var CSSKeyframes = function(name, unique) {
+	/** The (unique) name of the keyframes. */
+	this.name = (unique !== false ? CSSKeyframes.createUniqueName(name) : name);
+	
+	/** The stops, the offset mapped to the CSSBuilder. */
+	this.stops = {};
+	
+	/**
+	 * Gets the CSSBuilder for the stop at the given offset, the stop is
+	 * created if it does not exist yet.
+	 *
+	 * @param offset The offset, either a percentage as number (0 to 100) or
+	 *               a string like "50%", "from" or "to".
+	 * @return {CSSBuilder} The CSSBuilder of the stop.
+	 */
+	this.at = function(offset) {
+		if (offset === "from") {
+			offset = 0;
+		} else if (offset === "to") {
+			offset = 100;
+		}
+		
+		var percentage = parseFloat(offset);
+		
+		if (isNaN(percentage) || percentage < 0 || percentage > 100) {
+			throw "Cannot use \"" + offset + "\" as keyframe offset.";
+		}
+		
+		var selector = percentage + "%";
+		
+		if (!this.stops.hasOwnProperty(selector)) {
+			// !important is not allowed inside of keyframes.
+			this.stops[selector] = new CSSBuilder(selector, false);
+		}
+		
+		return this.stops[selector];
+	};
+	
+	/**
+	 * Gets the CSSBuilder for the first stop (0%).
+	 *
+	 * @return {CSSBuilder} The CSSBuilder of the stop.
+	 */
+	this.from = function() {
+		return this.at(0);
+	};
+	
+	/**
+	 * Gets the CSSBuilder for the last stop (100%).
+	 *
+	 * @return {CSSBuilder} The CSSBuilder of the stop.
+	 */
+	this.to = function() {
+		return this.at(100);
+	};
+	
+	/**
+	 * Returns the CSS representation of this keyframes rule, with the stops
+	 * sorted by their offset.
+	 *
+	 * @param {string} format Optional. The format, see CSSFormatter. Defaults
+	 *                        to CSSFormatter.DEFAULT.
+	 * @param {number} depth Optional. The nesting depth, used for indenting.
+	 * @return {string} The CSS string.
+	 */
+	this.toCSS = function(format, depth) {
+		depth = depth || 0;
+		
+		var selectors = Object.keys(this.stops);
+		
+		selectors.sort(function(first, second) {
+			return parseFloat(first) - parseFloat(second);
+		});
+		
+		var stops = [];
+		
+		for (var index = 0; index < selectors.length; index++) {
+			stops.push(this.stops[selectors[index]].toCSS(format, depth + 1));
+		}
+		
+		return CSSFormatter.block("@keyframes " + this.name, stops, format, depth);
+	};
+};
+
+/**
+ * Creates a unique name from the given name.
+ *
+ * @param {string} name The name.
+ * @return {string} The unique name.
+ */
+CSSKeyframes.createUniqueName = function(name) {
+	uniqueCounter++;
+	
+	return name + "-" + uniqueToken + "-" + uniqueCounter;
+};
+
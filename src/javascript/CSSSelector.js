@@ -0,0 +1,447 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ */
+
+"use strict";
+
+var EXPORTED_SYMBOLS = [ "CSSSelector" ];
+
+/** The operators which are allowed for attribute selectors. */
+var ATTRIBUTE_OPERATORS = [ "=", "~=", "|=", "^=", "$=", "*=" ];
+
+/**
+ * A builder for CSS selectors, which takes care of escaping identifiers and
+ * values. The simple selectors (element, id, class, attribute and pseudo
+ * selectors) are appended to the current compound selector, the combinators
+ * start a new one, and or() starts a new selector in the selector list. <p/>
+ * Element and attribute selectors can be qualified with a namespace prefix,
+ * like "xul|toolbar". The prefixes of CSSSelector.NAMESPACES are declared by
+ * the targets of DynamicStyleSheets and StyleSheet, other stylesheets need to
+ * declare them at their start, see CSSSelector.namespaceRule().
+ *
+ * @param selector Optional. The selector to start with, either a string
+ *                 (which is used as it is) or another CSSSelector.
+ */
+var CSSSelector = function(selector) {
+	/** The finished selectors of the selector list. */
+	this.selectors = [];
+	
+	/** The selector which is currently built. */
+	this.current = (selector != null ? CSSSelector.toCSS(selector) : "");
+	
+	/**
+	 * Appends an adjacent sibling combinator (" + ").
+	 *
+	 * @param selector Optional. The selector to append after the combinator.
+	 * @return {CSSSelector} This object.
+	 */
+	this.adjacent = function(selector) {
+		return this.combine(" + ", selector);
+	};
+	
+	/**
+	 * Appends an attribute selector.
+	 *
+	 * @param {string} name The name of the attribute.
+	 * @param {string} operator Optional. The operator, one of "=", "~=",
+	 *                          "|=", "^=", "$=" or "*=". If omitted, only the
+	 *                          presence of the attribute is checked.
+	 * @param {string} value Optional. The value to compare with.
+	 * @param {boolean} caseInsensitive Optional. If the value should be
+	 *                                  compared case insensitive.
+	 * @param {string} namespace Optional. The namespace prefix, "*" for any
+	 *                           namespace or an empty string for no
+	 *                           namespace.
+	 * @return {CSSSelector} This object.
+	 */
+	this.attribute = function(name, operator, value, caseInsensitive, namespace) {
+		var attribute = "[" + getNamespacePrefix(namespace) + CSSSelector.escape(name);
+		
+		if (operator != null) {
+			if (ATTRIBUTE_OPERATORS.indexOf(operator) < 0) {
+				throw "Unknown attribute operator \"" + operator + "\".";
+			}
+			
+			attribute = attribute + operator + CSSSelector.quote(value);
+			
+			if (caseInsensitive) {
+				attribute = attribute + " i";
+			}
+		}
+		
+		return this.append(attribute + "]");
+	};
+	
+	/**
+	 * Appends the given raw string to the current selector.
+	 *
+	 * @param {string} text The string to append.
+	 * @return {CSSSelector} This object.
+	 */
+	this.append = function(text) {
+		this.current = this.current + text;
+		
+		return this;
+	};
+	
+	/**
+	 * Appends a child combinator (" > ").
+	 *
+	 * @param selector Optional. The selector to append after the combinator.
+	 * @return {CSSSelector} This object.
+	 */
+	this.child = function(selector) {
+		return this.combine(" > ", selector);
+	};
+	
+	/**
+	 * Appends a class selector.
+	 *
+	 * @param {string} name The name of the class.
+	 * @return {CSSSelector} This object.
+	 */
+	this.className = function(name) {
+		return this.append("." + CSSSelector.escape(name));
+	};
+	
+	/**
+	 * Appends the given combinator and optionally the given selector.
+	 *
+	 * @param {string} combinator The combinator.
+	 * @param selector Optional. The selector to append after the combinator.
+	 * @return {CSSSelector} This object.
+	 */
+	this.combine = function(combinator, selector) {
+		if (this.current.trim() === "" || /[ >+~]$/.test(this.current)) {
+			throw "Cannot use a combinator without a selector before it.";
+		}
+		
+		this.current = this.current + combinator;
+		
+		if (selector != null) {
+			this.append(CSSSelector.toCSS(selector));
+		}
+		
+		return this;
+	};
+	
+	/**
+	 * Appends a descendant combinator (" ").
+	 *
+	 * @param selector Optional. The selector to append after the combinator.
+	 * @return {CSSSelector} This object.
+	 */
+	this.descendant = function(selector) {
+		return this.combine(" ", selector);
+	};
+	
+	/**
+	 * Appends a type (element) selector.
+	 *
+	 * @param {string} name The name of the element, for example "toolbar" or
+	 *                      "div", or "*" for all.
+	 * @param {string} namespace Optional. The namespace prefix, for example
+	 *                           "xul", "*" for any namespace or an empty
+	 *                           string for no namespace.
+	 * @return {CSSSelector} This object.
+	 */
+	this.element = function(name, namespace) {
+		var prefix = getNamespacePrefix(namespace);
+		
+		if (name === "*") {
+			return this.append(prefix + name);
+		}
+		
+		return this.append(prefix + CSSSelector.escape(name));
+	};
+	
+	/**
+	 * Appends a type selector for the given HTML element, with the "html"
+	 * namespace prefix.
+	 *
+	 * @param {string} name The name of the element, for example "div".
+	 * @return {CSSSelector} This object.
+	 */
+	this.html = function(name) {
+		return this.element(name, "html");
+	};
+	
+	/**
+	 * Appends an ID selector.
+	 *
+	 * @param {string} id The ID.
+	 * @return {CSSSelector} This object.
+	 */
+	this.id = function(id) {
+		return this.append("#" + CSSSelector.escape(id));
+	};
+	
+	/**
+	 * Appends a :not() pseudo class.
+	 *
+	 * @param selector The selector which should not match, either a string or
+	 *                 a CSSSelector.
+	 * @return {CSSSelector} This object.
+	 */
+	this.not = function(selector) {
+		return this.pseudoClass("not", CSSSelector.toCSS(selector));
+	};
+	
+	/**
+	 * Finishes the current selector and starts a new one in the selector
+	 * list, so the selectors are joined with ", ".
+	 *
+	 * @param selector Optional. The selector to start the new one with.
+	 * @return {CSSSelector} This object.
+	 */
+	this.or = function(selector) {
+		if (this.current.trim() !== "") {
+			this.selectors.push(this.current);
+		}
+		
+		this.current = (selector != null ? CSSSelector.toCSS(selector) : "");
+		
+		return this;
+	};
+	
+	/**
+	 * Appends a pseudo class, for example ":hover" or ":nth-child(2n)".
+	 *
+	 * @param {string} name The name of the pseudo class, without the colon.
+	 * @param {string} argument Optional. The argument of functional pseudo
+	 *                          classes, which is used as it is.
+	 * @return {CSSSelector} This object.
+	 */
+	this.pseudoClass = function(name, argument) {
+		var pseudoClass = ":" + CSSSelector.escape(name);
+		
+		if (argument != null) {
+			pseudoClass = pseudoClass + "(" + argument + ")";
+		}
+		
+		return this.append(pseudoClass);
+	};
+	
+	/**
+	 * Appends a pseudo element, for example "::before".
+	 *
+	 * @param {string} name The name of the pseudo element, without the colons.
+	 * @return {CSSSelector} This object.
+	 */
+	this.pseudoElement = function(name) {
+		return this.append("::" + CSSSelector.escape(name));
+	};
+	
+	/**
+	 * Appends a general sibling combinator (" ~ ").
+	 *
+	 * @param selector Optional. The selector to append after the combinator.
+	 * @return {CSSSelector} This object.
+	 */
+	this.sibling = function(selector) {
+		return this.combine(" ~ ", selector);
+	};
+	
+	/**
+	 * Returns the CSS representation of this selector.
+	 *
+	 * @return {string} The CSS string.
+	 */
+	this.toCSS = function() {
+		var selectors = this.selectors.slice();
+		
+		if (this.current.trim() !== "") {
+			selectors.push(this.current);
+		}
+		
+		return selectors.join(", ");
+	};
+	
+	/**
+	 * Returns the CSS representation of this selector.
+	 *
+	 * @return {string} The CSS string.
+	 */
+	this.toString = function() {
+		return this.toCSS();
+	};
+	
+	/**
+	 * Appends a type selector for the given XUL element, with the "xul"
+	 * namespace prefix.
+	 *
+	 * @param {string} name The name of the element, for example "toolbar".
+	 * @return {CSSSelector} This object.
+	 */
+	this.xul = function(name) {
+		return this.element(name, "xul");
+	};
+};
+
+/** The URIs of the known namespaces, by their prefix. */
+CSSSelector.NAMESPACES = {
+	html : "http://www.w3.org/1999/xhtml",
+	xul : "http://www.mozilla.org/keymaster/gatekeeper/there.is.only.xul"
+};
+
+/**
+ * Escapes the given identifier, so that it can be used as element name, ID,
+ * class or attribute name. This follows the same rules as CSS.escape().
+ *
+ * @param {string} identifier The identifier to escape.
+ * @return {string} The escaped identifier.
+ */
+CSSSelector.escape = function(identifier) {
+	identifier = String(identifier);
+	
+	var escaped = "";
+	
+	for (var index = 0; index < identifier.length; index++) {
+		var character = identifier.charAt(index);
+		var code = identifier.charCodeAt(index);
+		
+		if (code === 0) {
+			escaped = escaped + "\uFFFD";
+		} else if ((code >= 0x1 && code <= 0x1f) || code === 0x7f
+				|| (index === 0 && code >= 0x30 && code <= 0x39)
+				|| (index === 1 && code >= 0x30 && code <= 0x39 && identifier.charAt(0) === "-")) {
+			escaped = escaped + "\\" + code.toString(16) + " ";
+		} else if (index === 0 && character === "-" && identifier.length === 1) {
+			escaped = escaped + "\\" + character;
+		} else if (code >= 0x80 || /[-_0-9a-zA-Z]/.test(character)) {
+			escaped = escaped + character;
+		} else {
+			escaped = escaped + "\\" + character;
+		}
+	}
+	
+	return escaped;
+};
+
+/**
+ * Quotes the given value, so that it can be used as string, for example as
+ * value of an attribute selector.
+ *
+ * @param {string} value The value to quote.
+ * @return {string} The quoted value.
+ */
+CSSSelector.quote = function(value) {
+	return "\"" + String(value).replace(/[\\"]/g, "\\$&").replace(/\n/g, "\\a ") + "\"";
+};
+
+/**
+ * Converts the given selector to a string.
+ *
+ * @param selector The selector, either a string or a CSSSelector.
+ * @return {string} The selector as string.
+ */
+CSSSelector.toCSS = function(selector) {
+	if (typeof selector === "string") {
+		return selector;
+	} else if (selector != null && typeof selector.toCSS === "function") {
+		return selector.toCSS();
+	}
+	
+	throw "Cannot use \"" + typeof selector + "\" as selector.";
+};
+
+/**
+ * Creates the @namespace rule which declares the given prefix.
+ *
+ * @param {string} prefix The prefix, "html" or "xul".
+ * @return {string} The @namespace rule.
+ */
+CSSSelector.namespaceRule = function(prefix) {
+	if (!CSSSelector.NAMESPACES.hasOwnProperty(prefix)) {
+		throw "Unknown namespace prefix \"" + prefix + "\", expected one of " + Object.keys(CSSSelector.NAMESPACES).join(", ") + ".";
+	}
+	
+	return "@namespace " + prefix + " url(" + CSSSelector.NAMESPACES[prefix] + ");";
+};
+
+/**
+ * Creates a selector for the main browser window (#main-window).
+ *
+ * @return {CSSSelector} The new selector.
+ */
+CSSSelector.mainWindow = function() {
+	return new CSSSelector().id("main-window");
+};
+
+/**
+ * Creates a selector for the navigation toolbar (#nav-bar).
+ *
+ * @return {CSSSelector} The new selector.
+ */
+CSSSelector.navBar = function() {
+	return new CSSSelector().id("nav-bar");
+};
+
+/**
+ * Creates a selector for the toolbox which holds all toolbars
+ * (#navigator-toolbox).
+ *
+ * @return {CSSSelector} The new selector.
+ */
+CSSSelector.navigatorToolbox = function() {
+	return new CSSSelector().id("navigator-toolbox");
+};
+
+/**
+ * Creates a selector for the tabs (.tabbrowser-tab).
+ *
+ * @param {boolean} selected Optional. If only the selected tab (true) or only
+ *                           the not selected tabs (false) should be matched.
+ * @return {CSSSelector} The new selector.
+ */
+CSSSelector.tab = function(selected) {
+	var selector = new CSSSelector().className("tabbrowser-tab");
+	
+	if (selected === true) {
+		selector.attribute("selected");
+	} else if (selected === false) {
+		selector.not("[selected]");
+	}
+	
+	return selector;
+};
+
+/**
+ * Creates a selector for the toolbar which holds the tabs (#TabsToolbar).
+ *
+ * @return {CSSSelector} The new selector.
+ */
+CSSSelector.tabsToolbar = function() {
+	return new CSSSelector().id("TabsToolbar");
+};
+
+/**
+ * Creates a selector for the location bar (#urlbar).
+ *
+ * @return {CSSSelector} The new selector.
+ */
+CSSSelector.urlBar = function() {
+	return new CSSSelector().id("urlbar");
+};
+
+/**
+ * Gets the namespace prefix including the separator.
+ *
+ * @param {string} namespace The namespace prefix, "*" for any namespace, an
+ *                           empty string for no namespace or null for the
+ *                           default namespace.
+ * @return {string} The prefix, for example "xul|", or an empty string.
+ */
+function getNamespacePrefix(namespace) {
+	if (namespace == null) {
+		return "";
+	} else if (namespace === "*") {
+		return "*|";
+	}
+	
+	return CSSSelector.escape(namespace) + "|";
+}
+
@@ -0,0 +1,415 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ */
+
+"use strict";
+
+var EXPORTED_SYMBOLS = [ "CSSValue" ];
+
+/**
+ * A utility which knows about CSS values and their units. It allows to parse
+ * values, add a default unit to values which do not have one and to do simple
+ * arithmetic with values.
+ */
+var CSSValue = {
+	/** The keywords which are recognized as values on their own. */
+	KEYWORDS : [
+		"auto", "inherit", "initial", "unset", "revert", "none", "normal",
+		"min-content", "max-content", "fit-content", "-moz-available",
+		"xx-small", "x-small", "small", "medium", "large", "x-large",
+		"xx-large", "smaller", "larger", "thin", "thick"
+	],
+	
+	/** The units which are recognized. */
+	UNITS : [
+		"px", "em", "rem", "ex", "ch", "%", "vw", "vh", "vmin", "vmax",
+		"cm", "mm", "q", "in", "pt", "pc",
+		"deg", "grad", "rad", "turn",
+		"s", "ms",
+		"hz", "khz",
+		"dpi", "dpcm", "dppx", "x",
+		"fr"
+	],
+	
+	/**
+	 * Adds the two given values. If both values have the same unit, the result
+	 * is calculated right away, otherwise a calc() expression is returned.
+	 *
+	 * @param value The first value.
+	 * @param otherValue The second value.
+	 * @param {string} defaultUnit Optional. The unit to use for values without
+	 *                             one, defaults to "px".
+	 * @return {string} The sum.
+	 */
+	add : function(value, otherValue, defaultUnit) {
+		return this.combine(value, otherValue, defaultUnit, "+", function(first, second) {
+			return first + second;
+		});
+	},
+	
+	/**
+	 * Creates a calc() expression from the given expression.
+	 *
+	 * @param {string} expression The expression, for example "100% - 4px".
+	 * @return {string} The calc() expression.
+	 */
+	calc : function(expression) {
+		return "calc(" + expression + ")";
+	},
+	
+	/**
+	 * Combines the two given values with the given operator.
+	 *
+	 * @param value The first value.
+	 * @param otherValue The second value.
+	 * @param {string} defaultUnit The unit to use for values without one.
+	 * @param {string} operator The operator used in the calc() expression.
+	 * @param {function} operation The function which calculates the result if
+	 *                             both values have the same unit.
+	 * @return {string} The result.
+	 */
+	combine : function(value, otherValue, defaultUnit, operator, operation) {
+		var first = this.parseOperand(value, defaultUnit);
+		var second = this.parseOperand(otherValue, defaultUnit);
+		
+		if (first.number !== null && second.number !== null) {
+			// A unitless zero can be combined with any unit.
+			if (first.unit === second.unit || (second.unit === "" && second.number === 0)) {
+				return this.formatNumber(operation(first.number, second.number), first.unit);
+			} else if (first.unit === "" && first.number === 0) {
+				return this.formatNumber(operation(first.number, second.number), second.unit);
+			}
+		}
+		
+		return this.calc(this.unwrapCalc(first.text) + " " + operator + " " + this.unwrapCalc(second.text));
+	},
+	
+	/**
+	 * Divides the given value by the given divisor.
+	 *
+	 * @param value The value.
+	 * @param {number} divisor The divisor, a plain number.
+	 * @param {string} defaultUnit Optional. The unit to use if the value does
+	 *                             not have one, defaults to "px".
+	 * @return {string} The result.
+	 */
+	divide : function(value, divisor, defaultUnit) {
+		var parsed = this.parseOperand(value, defaultUnit);
+		
+		if (parsed.number !== null) {
+			return this.formatNumber(parsed.number / divisor, parsed.unit);
+		}
+		
+		return this.calc(this.unwrapCalc(parsed.text) + " / " + divisor);
+	},
+	
+	/**
+	 * Formats the given value, means that the default unit is added to all
+	 * plain numbers, except zero. Keywords, expressions like calc() or var()
+	 * and values which already have a unit (even one which is not part of
+	 * UNITS, like "dvh") are returned as they are. If the value consists of
+	 * multiple parts (for example "0 4") or is a comma separated list (for
+	 * example "0 4, 2 8"), every part is formatted.
+	 *
+	 * @param value The value, either a number, a string or an object with a
+	 *              toCSS() function.
+	 * @param {string} defaultUnit Optional. The unit to add, defaults to "px".
+	 * @return {string} The formatted value.
+	 */
+	format : function(value, defaultUnit) {
+		if (typeof defaultUnit === "undefined" || defaultUnit === null) {
+			defaultUnit = "px";
+		}
+		
+		if (value !== null && typeof value === "object" && typeof value.toCSS === "function") {
+			return value.toCSS();
+		}
+		
+		if (typeof value === "number") {
+			return this.formatNumber(value, defaultUnit);
+		}
+		
+		var items = this.split(String(value).trim(), ",");
+		
+		for (var itemIndex = 0; itemIndex < items.length; itemIndex++) {
+			var parts = this.split(items[itemIndex]);
+			
+			for (var index = 0; index < parts.length; index++) {
+				var parsed = this.parse(parts[index]);
+				
+				if (parsed.type === "number") {
+					parts[index] = this.formatNumber(parsed.number, defaultUnit);
+				}
+			}
+			
+			items[itemIndex] = parts.join(" ");
+		}
+		
+		return items.join(", ");
+	},
+	
+	/**
+	 * Formats the given number with the given unit. Zero is returned without a
+	 * unit.
+	 *
+	 * @param {number} number The number.
+	 * @param {string} unit The unit.
+	 * @return {string} The formatted number.
+	 */
+	formatNumber : function(number, unit) {
+		if (!isFinite(number)) {
+			throw "Cannot use \"" + number + "\" as value.";
+		}
+		
+		// Get rid of floating point artifacts like 0.30000000000000004.
+		number = parseFloat(number.toFixed(6));
+		
+		if (number === 0 && unit !== "%" && !this.isTimeUnit(unit)) {
+			return "0";
+		}
+		
+		return number + unit;
+	},
+	
+	/**
+	 * Checks if the given value is negative.
+	 *
+	 * @param value The value.
+	 * @return {boolean} true if the value is a negative number. Expressions and
+	 *                   keywords are never negative.
+	 */
+	isNegative : function(value) {
+		if (typeof value === "number") {
+			return value < 0;
+		}
+		
+		var parsed = this.parse(value);
+		
+		return parsed.number !== null && parsed.number < 0;
+	},
+	
+	/**
+	 * Checks if the given value is a recognized keyword.
+	 *
+	 * @param {string} value The value.
+	 * @return {boolean} true if the value is a keyword.
+	 */
+	isKeyword : function(value) {
+		return this.KEYWORDS.indexOf(String(value).toLowerCase()) >= 0;
+	},
+	
+	/**
+	 * Checks if the given unit is a time unit, values with such a unit always
+	 * need the unit, even if they are zero.
+	 *
+	 * @param {string} unit The unit.
+	 * @return {boolean} true if it is a time unit.
+	 */
+	isTimeUnit : function(unit) {
+		return unit === "s" || unit === "ms";
+	},
+	
+	/**
+	 * Checks if the given unit is a recognized unit.
+	 *
+	 * @param {string} unit The unit.
+	 * @return {boolean} true if the unit is recognized.
+	 */
+	isUnit : function(unit) {
+		return this.UNITS.indexOf(String(unit).toLowerCase()) >= 0;
+	},
+	
+	/**
+	 * Multiplies the given value with the given factor.
+	 *
+	 * @param value The value.
+	 * @param {number} factor The factor, a plain number.
+	 * @param {string} defaultUnit Optional. The unit to use if the value does
+	 *                             not have one, defaults to "px".
+	 * @return {string} The result.
+	 */
+	multiply : function(value, factor, defaultUnit) {
+		var parsed = this.parseOperand(value, defaultUnit);
+		
+		if (parsed.number !== null) {
+			return this.formatNumber(parsed.number * factor, parsed.unit);
+		}
+		
+		return this.calc(this.unwrapCalc(parsed.text) + " * " + factor);
+	},
+	
+	/**
+	 * Negates the given value.
+	 *
+	 * @param value The value.
+	 * @param {string} defaultUnit Optional. The unit to use if the value does
+	 *                             not have one, defaults to "px".
+	 * @return {string} The negated value.
+	 */
+	negate : function(value, defaultUnit) {
+		return this.multiply(value, -1, defaultUnit);
+	},
+	
+	/**
+	 * Parses the given single value.
+	 *
+	 * @param value The value to parse.
+	 * @return {Object} An object with the type ("number", "dimension",
+	 *                  "keyword", "function" or "other"), the number and unit
+	 *                  (null and an empty string if the value is not numeric)
+	 *                  and the original text.
+	 */
+	parse : function(value) {
+		var text = String(value).trim();
+		var match = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%|[a-z]*)$/i.exec(text);
+		
+		if (match !== null) {
+			return {
+				number : parseFloat(match[1]),
+				text : text,
+				type : (match[2] === "" ? "number" : "dimension"),
+				unit : match[2].toLowerCase()
+			};
+		}
+		
+		var type = "other";
+		
+		if (/^[-a-z]+\(.*\)$/i.test(text)) {
+			type = "function";
+		} else if (this.isKeyword(text)) {
+			type = "keyword";
+		}
+		
+		return {
+			number : null,
+			text : text,
+			type : type,
+			unit : ""
+		};
+	},
+	
+	/**
+	 * Parses the given value as operand of a calculation. Keywords and other
+	 * values which cannot be used in calc(), like "auto", are refused.
+	 *
+	 * @param value The value.
+	 * @param {string} defaultUnit Optional. The unit to use if the value does
+	 *                             not have one, defaults to "px".
+	 * @return {Object} The parsed value, see parse().
+	 */
+	parseOperand : function(value, defaultUnit) {
+		var parsed = this.parse(this.format(value, defaultUnit));
+		
+		if (parsed.type === "keyword" || parsed.type === "other") {
+			throw "Cannot calculate with \"" + parsed.text + "\".";
+		}
+		
+		return parsed;
+	},
+	
+	/**
+	 * Splits the given value at all whitespace (or the given separator) which
+	 * is not inside of parentheses or strings.
+	 *
+	 * @param {string} value The value.
+	 * @param {string} separator Optional. The separator, for example ",".
+	 *                           Defaults to whitespace.
+	 * @return {Array} The parts of the value, trimmed.
+	 */
+	split : function(value, separator) {
+		var parts = [];
+		var part = "";
+		var depth = 0;
+		var quote = null;
+		
+		for (var index = 0; index < value.length; index++) {
+			var character = value.charAt(index);
+			
+			if (quote !== null) {
+				if (character === quote) {
+					quote = null;
+				}
+			} else if (character === "\"" || character === "'") {
+				quote = character;
+			} else if (character === "(") {
+				depth++;
+			} else if (character === ")") {
+				depth--;
+			} else if (depth === 0 && (separator != null ? character === separator : /\s/.test(character))) {
+				if (part.trim() !== "") {
+					parts.push(part.trim());
+					part = "";
+				}
+				
+				continue;
+			}
+			
+			part = part + character;
+		}
+		
+		if (part.trim() !== "") {
+			parts.push(part.trim());
+		}
+		
+		return parts;
+	},
+	
+	/**
+	 * Subtracts the second value from the first one. If both values have the
+	 * same unit, the result is calculated right away, otherwise a calc()
+	 * expression is returned.
+	 *
+	 * @param value The first value.
+	 * @param otherValue The value to subtract.
+	 * @param {string} defaultUnit Optional. The unit to use for values without
+	 *                             one, defaults to "px".
+	 * @return {string} The difference.
+	 */
+	subtract : function(value, otherValue, defaultUnit) {
+		return this.combine(value, otherValue, defaultUnit, "-", function(first, second) {
+			return first - second;
+		});
+	},
+	
+	/**
+	 * Removes the calc() around the given expression, if any, so that it can
+	 * be nested into another calc() expression. Other expressions are wrapped
+	 * in parentheses.
+	 *
+	 * @param {string} expression The expression.
+	 * @return {string} The expression without calc().
+	 */
+	unwrapCalc : function(expression) {
+		var match = /^calc\((.*)\)$/i.exec(expression);
+		
+		if (match !== null) {
+			return "(" + match[1] + ")";
+		}
+		
+		return expression;
+	},
+	
+	/**
+	 * Creates a var() expression referencing the given custom property.
+	 *
+	 * @param {string} name The name of the custom property, with or without
+	 *                      the leading "--".
+	 * @param fallback Optional. The fallback value.
+	 * @return {string} The var() expression.
+	 */
+	variable : function(name, fallback) {
+		if (name.indexOf("--") !== 0) {
+			name = "--" + name;
+		}
+		
+		if (typeof fallback !== "undefined" && fallback !== null) {
+			return "var(" + name + ", " + fallback + ")";
+		}
+		
+		return "var(" + name + ")";
+	}
+};
+
@@ -0,0 +1,203 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ */
+
+"use strict";
+
+var EXPORTED_SYMBOLS = [ "DocumentMatcher" ];
+
+/**
+ * A builder for the conditions of a @-moz-document rule. Multiple conditions
+ * can be combined, the rule applies to every document which matches at least
+ * one of them. All values are validated and escaped.
+ */
+var DocumentMatcher = function() {
+	/** The conditions, already converted to CSS. */
+	this.conditions = [];
+	
+	/**
+	 * Adds a condition which matches all documents of the given domain and
+	 * its subdomains.
+	 *
+	 * @param {string} domain The domain, for example "mozilla.org".
+	 * @return {DocumentMatcher} This object.
+	 */
+	this.domain = function(domain) {
+		domain = String(domain).trim().toLowerCase();
+		
+		if (!/^[^\s"'\\\/:;(),]+$/.test(domain) || /^\.|\.$|\.\./.test(domain)) {
+			throw "Cannot use \"" + domain + "\" as domain.";
+		}
+		
+		this.conditions.push("domain(" + DocumentMatcher.quote(domain) + ")");
+		
+		return this;
+	};
+	
+	/**
+	 * Adds a condition for every given domain.
+	 *
+	 * @param {Array} domains The domains.
+	 * @return {DocumentMatcher} This object.
+	 */
+	this.domains = function(domains) {
+		for (var index = 0; index < domains.length; index++) {
+			this.domain(domains[index]);
+		}
+		
+		return this;
+	};
+	
+	/**
+	 * Checks if this matcher does not have any conditions.
+	 *
+	 * @return {boolean} true if there are no conditions.
+	 */
+	this.isEmpty = function() {
+		return this.conditions.length === 0;
+	};
+	
+	/**
+	 * Adds a condition which matches all documents whose URL matches the
+	 * given regular expression completely.
+	 *
+	 * @param pattern The regular expression, either a RegExp (flags are
+	 *                ignored) or a string.
+	 * @return {DocumentMatcher} This object.
+	 */
+	this.regexp = function(pattern) {
+		// RegExps from other globals (like other modules) are no instances
+		// of the RegExp of this module.
+		if (Object.prototype.toString.call(pattern) === "[object RegExp]") {
+			pattern = pattern.source;
+		}
+		
+		pattern = String(pattern);
+		
+		try {
+			new RegExp(pattern);
+		} catch (e) {
+			throw "Cannot use \"" + pattern + "\" as regular expression: " + e;
+		}
+		
+		this.conditions.push("regexp(" + DocumentMatcher.quote(pattern) + ")");
+		
+		return this;
+	};
+	
+	/**
+	 * Returns the CSS representation of the conditions, which can be used as
+	 * condition of a @-moz-document rule.
+	 *
+	 * @return {string} The CSS string.
+	 */
+	this.toCSS = function() {
+		if (this.isEmpty()) {
+			throw "A DocumentMatcher needs at least one condition.";
+		}
+		
+		return this.conditions.join(", ");
+	};
+	
+	/**
+	 * Adds a condition which matches the document with exactly the given URL.
+	 *
+	 * @param {string} url The URL.
+	 * @return {DocumentMatcher} This object.
+	 */
+	this.url = function(url) {
+		this.conditions.push("url(" + DocumentMatcher.quote(validateURL(url)) + ")");
+		
+		return this;
+	};
+	
+	/**
+	 * Adds a condition which matches all documents whose URL starts with the
+	 * given prefix.
+	 *
+	 * @param {string} prefix The prefix of the URL.
+	 * @return {DocumentMatcher} This object.
+	 */
+	this.urlPrefix = function(prefix) {
+		this.conditions.push("url-prefix(" + DocumentMatcher.quote(validateURL(prefix)) + ")");
+		
+		return this;
+	};
+};
+
+/**
+ * Creates a DocumentMatcher from the given value.
+ *
+ * @param matcher The matcher, either a DocumentMatcher (which is returned as
+ *                it is), a single domain, an array of domains or an object
+ *                with the optional keys domains, regexps, urlPrefixes and
+ *                urls, each holding an array.
+ * @return {DocumentMatcher} The DocumentMatcher.
+ */
+DocumentMatcher.create = function(matcher) {
+	if (matcher instanceof DocumentMatcher) {
+		return matcher;
+	}
+	
+	var documentMatcher = new DocumentMatcher();
+	
+	if (typeof matcher === "string") {
+		documentMatcher.domain(matcher);
+	} else if (Array.isArray(matcher)) {
+		documentMatcher.domains(matcher);
+	} else if (matcher !== null && typeof matcher === "object") {
+		var keys = {
+			domains : documentMatcher.domain,
+			regexps : documentMatcher.regexp,
+			urlPrefixes : documentMatcher.urlPrefix,
+			urls : documentMatcher.url
+		};
+		
+		for (var key in matcher) {
+			if (!keys.hasOwnProperty(key)) {
+				throw "Unknown key \"" + key + "\", expected one of " + Object.keys(keys).join(", ") + ".";
+			}
+			
+			var values = [].concat(matcher[key]);
+			
+			for (var index = 0; index < values.length; index++) {
+				keys[key].call(documentMatcher, values[index]);
+			}
+		}
+	} else {
+		throw "Cannot use \"" + typeof matcher + "\" as document matcher.";
+	}
+	
+	return documentMatcher;
+};
+
+/**
+ * Quotes the given value as CSS string.
+ *
+ * @param {string} value The value to quote.
+ * @return {string} The quoted value.
+ */
+DocumentMatcher.quote = function(value) {
+	return "\"" + String(value).replace(/[\\"]/g, "\\$&").replace(/\n/g, "\\a ") + "\"";
+};
+
+/**
+ * Validates the given URL, means that it must not be empty and must not
+ * contain whitespace.
+ *
+ * @param {string} url The URL.
+ * @return {string} The URL.
+ */
+function validateURL(url) {
+	url = String(url).trim();
+	
+	if (url === "" || /\s/.test(url)) {
+		throw "Cannot use \"" + url + "\" as URL.";
+	}
+	
+	return url;
+}
+
@@ -10,18 +10,56 @@
 var EXPORTED_SYMBOLS = [ "DynamicStyleSheets" ];
 
 Components.utils.import("resource://gre/modules/Services.jsm");
+Components.utils.import(__URI__.replace(/[^\/]*$/, "CSSFormatter.js"));
+Components.utils.import(__URI__.replace(/[^\/]*$/, "CSSSelector.js"));
+Components.utils.import(__URI__.replace(/[^\/]*$/, "DocumentMatcher.js"));
 
 /**
  * DynamicStyleSheets is a helper utility that allows to register stylesheets on
- * the fly, and also remove them with ease.
+ * the fly, and also remove them with ease. <p/>
+ * Every stylesheet can be registered as one of the sheet types
+ * DynamicStyleSheets.AGENT_SHEET, DynamicStyleSheets.USER_SHEET (the default)
+ * or DynamicStyleSheets.AUTHOR_SHEET. <p/>
+ * Stylesheets are either registered globally through the stylesheet service,
+ * which means they apply to every document, or for a single window only (see
+ * registerForWindow()). The names of the per-window stylesheets only need to
+ * be unique per window. <p/>
+ * For diagnostics, all active registrations can be listed with
+ * getRegistrations() or exported with dump(), and listeners can be notified
+ * about every "register" and "unregister" event.
  */
 var DynamicStyleSheets = function() {
+	/**
+	 * The encoding of the data: URIs, DynamicStyleSheets.ENCODING_BASE64 or
+	 * DynamicStyleSheets.ENCODING_PERCENT.
+	 */
+	this.encoding = DynamicStyleSheets.ENCODING_BASE64,
+	
+	/** The event listeners, by the event. */
+	this.listeners = {
+		register : [],
+		unregister : []
+	},
+	
+	/** The information about the registered stylesheets, by their name. */
+	this.registrations = {},
+	
 	/** The stylesheet service provided by Firefox. */
 	this.service = null,
 	
+	/** The sheet types of the registered stylesheets, by their name. */
+	this.sheetTypes = {},
+	
 	 /** The list of stylesheets that are registered. */
 	this.styleSheets = {},
 	
+	/**
+	 * The windows which have stylesheets registered, each entry holds the
+	 * window, its unload listener and the stylesheets, their sheet types and
+	 * registrations by their name.
+	 */
+	this.windows = [],
+	
 	/**
 	 * Initializes the DynamicStyleSheets class.
 	 */
@@ -30,30 +68,384 @@ var DynamicStyleSheets = function() {
 		this.service = component.getService(Components.interfaces.nsIStyleSheetService);
 	},
 	
+	/**
+	 * Adds the given listener for the given event.
+	 *
+	 * @param {string} event The event, "register" or "unregister".
+	 * @param {function} listener The listener, which is invoked with the
+	 *                            event and the registration (see
+	 *                            getRegistrations()) as parameters.
+	 */
+	this.addEventListener = function(event, listener) {
+		if (!this.listeners.hasOwnProperty(event)) {
+			throw "Unknown event \"" + event + "\".";
+		}
+		
+		if (this.listeners[event].indexOf(listener) < 0) {
+			this.listeners[event].push(listener);
+		}
+	},
+	
+	/**
+	 * Creates the information about a registration.
+	 *
+	 * @param name The name of the stylesheet.
+	 * @param {nsIURI} styleSheet The URI of the stylesheet.
+	 * @param {string} type The sheet type.
+	 * @param {string} target What the stylesheet targets.
+	 * @param {Window} window The window, null for global registrations.
+	 * @return {Object} The registration.
+	 */
+	this.createRegistration = function(name, styleSheet, type, target, window) {
+		var css = this.decodeDataURI(styleSheet.spec);
+		
+		return {
+			css : css,
+			name : name,
+			size : (css !== null ? encodeURIComponent(css).replace(/%[0-9A-F]{2}/g, "_").length : null),
+			target : target,
+			time : new Date(),
+			type : type,
+			uri : styleSheet.spec,
+			window : window
+		};
+	},
+	
+	/**
+	 * Decodes the given data: URI.
+	 *
+	 * @param {string} uri The URI.
+	 * @return {string} The decoded content, or null if the URI is not a data:
+	 *                  URI.
+	 */
+	this.decodeDataURI = function(uri) {
+		var match = /^data:([^,]*),([\s\S]*)$/.exec(uri);
+		
+		if (match === null) {
+			return null;
+		}
+		
+		var parameters = match[1].toLowerCase().split(";");
+		var data = match[2];
+		
+		if (parameters.indexOf("base64") >= 0) {
+			data = atob(data);
+			
+			if (parameters.indexOf("charset=utf-8") >= 0) {
+				data = decodeURIComponent(data.replace(/[\s\S]/g, function(character) {
+					return "%" + (character.charCodeAt(0) < 16 ? "0" : "") + character.charCodeAt(0).toString(16);
+				}));
+			}
+			
+			return data;
+		}
+		
+		return decodeURIComponent(data);
+	},
+	
+	/**
+	 * Exports all active registrations as one CSS string, every stylesheet is
+	 * preceded by a comment which describes the registration.
+	 *
+	 * @return {string} The CSS string.
+	 */
+	this.dump = function() {
+		var registrations = this.getRegistrations();
+		var dump = "";
+		
+		for (var index = 0; index < registrations.length; index++) {
+			var registration = registrations[index];
+			
+			dump = dump + "/*\n";
+			dump = dump + " * name: " + registration.name + "\n";
+			dump = dump + " * type: " + registration.type + "\n";
+			dump = dump + " * target: " + registration.target + "\n";
+			dump = dump + " * time: " + registration.time.toISOString() + "\n";
+			dump = dump + " * size: " + registration.size + "\n";
+			dump = dump + " */\n";
+			
+			if (registration.css !== null) {
+				dump = dump + registration.css + "\n\n";
+			} else {
+				dump = dump + "/* " + registration.uri + " */\n\n";
+			}
+		}
+		
+		return dump;
+	},
+	
+	/**
+	 * Notifies all listeners about the given event.
+	 *
+	 * @param {string} event The event.
+	 * @param {Object} registration The registration.
+	 */
+	this.fireEvent = function(event, registration) {
+		var listeners = this.listeners[event].slice();
+		
+		for (var index = 0; index < listeners.length; index++) {
+			try {
+				listeners[index](event, registration);
+			} catch (e) {
+				Components.utils.reportError(e);
+			}
+		}
+	},
+	
 	/**
 	 * Converts the given style to a string, if needed.
 	 *
-	 * @param style The style to convert. Can be either a string or CSSBuilder.
+	 * @param style The style to convert. Can be either a string, a CSSBuilder
+	 *              or a CSSDocument.
+	 * @param {string} format Optional. The format, see CSSFormatter. Strings
+	 *                        are only changed if the format is
+	 *                        CSSFormatter.MINIFIED.
 	 * @return The style as string.
 	 */
-	this.getCSS = function(style) {
+	this.getCSS = function(style, format) {
 		if (typeof style === "string") {
+			if (format === CSSFormatter.MINIFIED) {
+				return CSSFormatter.minify(style);
+			}
+			
 			return style;
 		} else if (typeof style.toCSS === "function") {
-			return style.toCSS();
+			return style.toCSS(format);
 		} else {
 			throw "Cannot use \"" + typeof style + "\" as style.";
 		}	
 	},
 	
+	/**
+	 * Creates the data: URI for the given stylesheet. The stylesheet is
+	 * encoded as UTF-8, either base64 or percent encoded depending on the
+	 * configured encoding.
+	 *
+	 * @param {string} style The content of the stylesheet.
+	 * @return {string} The data: URI.
+	 */
+	this.getDataURI = function(style) {
+		var encoded = encodeURIComponent(style);
+		
+		if (this.encoding === DynamicStyleSheets.ENCODING_PERCENT) {
+			return "data:text/css;charset=utf-8," + encoded;
+		}
+		
+		// Turn the percent encoded UTF-8 bytes back into single characters,
+		// which is what btoa() expects.
+		var bytes = encoded.replace(/%([0-9A-F]{2})/g, function(match, hex) {
+			return String.fromCharCode(parseInt(hex, 16));
+		});
+		
+		return "data:text/css;charset=utf-8;base64," + btoa(bytes);
+	},
+	
+	/**
+	 * Gets the @namespace rules for the given target, the default namespace
+	 * and the prefixes (see getNamespacePrefixes()).
+	 *
+	 * @param target The target, DynamicStyleSheets.TARGET_BROWSER,
+	 *               DynamicStyleSheets.TARGET_GENERIC or anything
+	 *               DocumentMatcher.create() accepts. null for none.
+	 * @return {string} The @namespace rules, an empty string if the target is
+	 *                  null.
+	 */
+	this.getNamespace = function(target) {
+		if (target == null) {
+			return "";
+		} else if (target === DynamicStyleSheets.TARGET_BROWSER) {
+			return "@namespace url(http://www.mozilla.org/keymaster/gatekeeper/there.is.only.xul);" + this.getNamespacePrefixes();
+		}
+		
+		return "@namespace url(http://www.w3.org/1999/xhtml);" + this.getNamespacePrefixes();
+	},
+	
+	/**
+	 * Gets the @namespace rules which declare the prefixes of
+	 * CSSSelector.NAMESPACES, so that selectors like "xul|toolbar" can be
+	 * used. They cannot be declared inside of the @-moz-document rule.
+	 *
+	 * @return {string} The @namespace rules.
+	 */
+	this.getNamespacePrefixes = function() {
+		var rules = "";
+		var prefixes = Object.keys(CSSSelector.NAMESPACES).sort();
+		
+		for (var index = 0; index < prefixes.length; index++) {
+			rules = rules + CSSSelector.namespaceRule(prefixes[index]);
+		}
+		
+		return rules;
+	},
+	
+	/**
+	 * Gets the information about the stylesheet with the given name.
+	 *
+	 * @param name The name of the stylesheet.
+	 * @param {Window} window Optional. The window, if the stylesheet is
+	 *                        registered for a single window.
+	 * @return {Object} The registration (see getRegistrations()), or null if
+	 *                  there is no stylesheet with the given name.
+	 */
+	this.getRegistration = function(name, window) {
+		var registrations = this.registrations;
+		
+		if (window != null) {
+			var entry = this.getWindowEntry(window, false);
+			
+			if (entry == null) {
+				return null;
+			}
+			
+			registrations = entry.registrations;
+		}
+		
+		if (!registrations.hasOwnProperty(name)) {
+			return null;
+		}
+		
+		return registrations[name];
+	},
+	
+	/**
+	 * Gets the information about all active registrations, including the ones
+	 * for single windows, sorted by the time of registration.
+	 *
+	 * @return {Array} The registrations, every registration is an object with
+	 *                 the name, the sheet type, the target, the time of the
+	 *                 registration, the URI, the decoded CSS and its size in
+	 *                 bytes (both null if the URI is not a data: URI) and the
+	 *                 window (null for global registrations).
+	 */
+	this.getRegistrations = function() {
+		var registrations = [];
+		var name = null;
+		
+		for (name in this.registrations) {
+			registrations.push(this.registrations[name]);
+		}
+		
+		for (var index = 0; index < this.windows.length; index++) {
+			for (name in this.windows[index].registrations) {
+				registrations.push(this.windows[index].registrations[name]);
+			}
+		}
+		
+		registrations.sort(function(first, second) {
+			return first.time - second.time;
+		});
+		
+		return registrations;
+	},
+	
+	/**
+	 * Gets the value of the given sheet type as used by the stylesheet
+	 * service.
+	 *
+	 * @param {string} type The sheet type, DynamicStyleSheets.AGENT_SHEET,
+	 *                      DynamicStyleSheets.USER_SHEET or
+	 *                      DynamicStyleSheets.AUTHOR_SHEET. Defaults to
+	 *                      DynamicStyleSheets.USER_SHEET if omitted.
+	 * @return The value of the sheet type.
+	 */
+	this.getSheetType = function(type) {
+		return this.service[checkSheetType(type)];
+	},
+	
+	/**
+	 * Gets the description of the given target, as used for diagnostics.
+	 * Targets with the same description are equal.
+	 *
+	 * @param target The target, see getNamespace().
+	 * @return {string} The description, for example "browser" or
+	 *                  "domain domain("mozilla.org")". null if the target is
+	 *                  null.
+	 */
+	this.getTargetDescription = function(target) {
+		if (target == null) {
+			return null;
+		} else if (target === DynamicStyleSheets.TARGET_BROWSER || target === DynamicStyleSheets.TARGET_GENERIC) {
+			return target;
+		}
+		
+		return "domain " + DocumentMatcher.create(target).toCSS();
+	},
+	
+	/**
+	 * Gets the entry of the given window from the list of windows.
+	 *
+	 * @param {Window} window The window.
+	 * @param {boolean} create If the entry should be created if it does not
+	 *                         exist yet.
+	 * @return {Object} The entry, null if it does not exist and create is
+	 *                  false.
+	 */
+	this.getWindowEntry = function(window, create) {
+		for (var index = 0; index < this.windows.length; index++) {
+			if (this.windows[index].window === window) {
+				return this.windows[index];
+			}
+		}
+		
+		if (!create) {
+			return null;
+		}
+		
+		var entry = {
+			listener : null,
+			registrations : {},
+			sheetTypes : {},
+			styleSheets : {},
+			window : window
+		};
+		
+		// The stylesheets are gone together with the window, so only the
+		// entry needs to be removed.
+		entry.listener = function() {
+			for (var name in entry.registrations) {
+				this.fireEvent("unregister", entry.registrations[name]);
+			}
+			
+			this.removeWindowEntry(entry);
+		}.bind(this);
+		
+		window.addEventListener("unload", entry.listener, false);
+		
+		this.windows.push(entry);
+		
+		return entry;
+	},
+	
+	/**
+	 * Gets the nsIDOMWindowUtils of the given window, which is used for
+	 * loading and removing the stylesheets of the window.
+	 *
+	 * @param {Window} window The window.
+	 * @return {nsIDOMWindowUtils} The nsIDOMWindowUtils.
+	 */
+	this.getWindowUtils = function(window) {
+		if (window.windowUtils) {
+			return window.windowUtils;
+		}
+		
+		return window
+			.QueryInterface(Components.interfaces.nsIInterfaceRequestor)
+			.getInterface(Components.interfaces.nsIDOMWindowUtils);
+	},
+	
 	/**
 	 * Registers the given stylesheet with the given name.
 	 *
 	 * @param name The name of the stylesheet. Needs to be unique.
 	 * @param style The content of the stylesheet to register.
+	 * @param type Optional. The sheet type, defaults to
+	 *             DynamicStyleSheets.USER_SHEET.
+	 * @param target Optional. What the stylesheet targets, for example
+	 *               "browser", only used for diagnostics. Defaults to
+	 *               "generic".
 	 */
-	this.register = function(name, style) {
-		this.registerPath(name, "data:text/css;base64," + btoa(style));
+	this.register = function(name, style, type, target) {
+		this.registerPath(name, this.getDataURI(style), type, (target != null ? target : "generic"));
 	},
 	
 	/**
@@ -64,14 +456,16 @@ var DynamicStyleSheets = function() {
 	 * @param name The name of the stylesheet. Needs to be unique.
 	 * @param style The content of the stylesheet to register. This is a plain
 	 *              CSS string without the namespace header.
+	 * @param type Optional. The sheet type, defaults to
+	 *             DynamicStyleSheets.USER_SHEET.
 	 */
-	this.registerForBrowser = function(name, style) {
-		var styleSheetContent = "@namespace url(http://www.mozilla.org/keymaster/gatekeeper/there.is.only.xul);";
-		styleSheetContent = styleSheetContent + "@-moz-document url(chrome://browser/content/browser.xul) {";
-		styleSheetContent = styleSheetContent + this.getCSS(style);
-		styleSheetContent = styleSheetContent + "}";
+	this.registerForBrowser = function(name, style, type) {
+		var target = DynamicStyleSheets.TARGET_BROWSER;
+		
+		var styleSheetContent = this.getNamespace(target);
+		styleSheetContent = styleSheetContent + this.wrapForTarget(target, this.getCSS(style));
 		
-		this.register(name, styleSheetContent);
+		this.register(name, styleSheetContent, type, this.getTargetDescription(target));
 	},
 	
 	/**
@@ -80,53 +474,182 @@ var DynamicStyleSheets = function() {
 	 * for the given domain.
 	 *
 	 * @param name The name of the stylesheet. Needs to be unique.
+	 * @param domain The domain, or anything else DocumentMatcher.create()
+	 *               accepts, like an array of domains or a DocumentMatcher
+	 *               with URL, URL prefix and regular expression conditions.
 	 * @param style The content of the stylesheet to register. This is a plain
 	 *               CSS string without the namespace header.
+	 * @param type Optional. The sheet type, defaults to
+	 *             DynamicStyleSheets.USER_SHEET.
 	 */
-	this.registerForDomain = function(name, domain, style) {
-		var styleSheetContent = "@namespace url(http://www.w3.org/1999/xhtml);";
-		styleSheetContent = styleSheetContent + "@-moz-document domain(" + domain + ") {";
-		styleSheetContent = styleSheetContent + this.getCSS(style);
-		styleSheetContent = styleSheetContent + "}";
+	this.registerForDomain = function(name, domain, style, type) {
+		var target = DocumentMatcher.create(domain);
+		
+		var styleSheetContent = this.getNamespace(target);
+		styleSheetContent = styleSheetContent + this.wrapForTarget(target, this.getCSS(style));
 		
-		this.register(name, styleSheetContent);
+		this.register(name, styleSheetContent, type, this.getTargetDescription(target));
 	},
 	
 	/**
 	 * Registers the given stylesheet with the given name. Means it will be
-	 * prefixed with the default namespace and no rule. If you want to register
-	 * a stylesheet with your own at-rules, this is the function you're looking
-	 * for.
+	 * prefixed with the default namespace and no rule, unless domains are
+	 * given. If you want to register a stylesheet with your own at-rules, this
+	 * is the function you're looking for.
 	 *
 	 * @param name The name of the stylesheet. Needs to be unique.
 	 * @param style The content of the stylesheet to register. This is a plain
 	 *              CSS string without the namespace header.
+	 * @param domains Optional. The domains, or anything else
+	 *                DocumentMatcher.create() accepts. If given, the
+	 *                stylesheet is wrapped in a @-moz-document rule.
+	 * @param type Optional. The sheet type, defaults to
+	 *             DynamicStyleSheets.USER_SHEET.
 	 */
-	this.registerForGeneric = function(name, style, domains) {
-		var styleSheetContent = "@namespace url(http://www.w3.org/1999/xhtml);";
-		styleSheetContent = styleSheetContent + this.getCSS(style);
+	this.registerForGeneric = function(name, style, domains, type) {
+		if (domains != null) {
+			this.registerForDomain(name, domains, style, type);
+			return;
+		}
+		
+		var target = DynamicStyleSheets.TARGET_GENERIC;
 		
-		this.register(name, styleSheetContent);
+		var styleSheetContent = this.getNamespace(target);
+		styleSheetContent = styleSheetContent + this.wrapForTarget(target, this.getCSS(style));
+		
+		this.register(name, styleSheetContent, type, this.getTargetDescription(target));
 	},
 	
 	/**
-	 * Registers the given path.
+	 * Registers the given path. If the same path is already registered with
+	 * the same name and sheet type, nothing happens, so that the stylesheet is
+	 * not reloaded needlessly.
 	 *
 	 * @param name The name of the path.
 	 * @param path The path to register. Is expected to be a valid URI.
+	 * @param type Optional. The sheet type, defaults to
+	 *             DynamicStyleSheets.USER_SHEET.
+	 * @param target Optional. What the stylesheet targets, for example
+	 *               "browser", only used for diagnostics. Defaults to
+	 *               "path".
 	 */
-	this.registerPath = function(name, path) {
+	this.registerPath = function(name, path, type, target) {
+		var sheetType = this.getSheetType(type);
+		var registered = this.styleSheets[name];
+		
+		if (registered != null
+				&& this.sheetTypes[name] === sheetType
+				&& registered.spec === path
+				&& this.service.sheetRegistered(registered, sheetType)) {
+			return;
+		}
+		
 		this.unregister(name)
 		
 		this.styleSheets[name] = Services.io.newURI(path, null, null);
+		this.sheetTypes[name] = sheetType;
 		
 		var styleSheet = this.styleSheets[name];
 		
-		if (!this.service.sheetRegistered(styleSheet, this.service.USER_SHEET)) {
-			this.service.loadAndRegisterSheet(styleSheet, this.service.USER_SHEET);
+		if (!this.service.sheetRegistered(styleSheet, sheetType)) {
+			this.service.loadAndRegisterSheet(styleSheet, sheetType);
+		}
+		
+		this.registrations[name] = this.createRegistration(name, styleSheet, checkSheetType(type), (target != null ? target : "path"), null);
+		this.fireEvent("register", this.registrations[name]);
+	},
+	
+	/**
+	 * Registers the given path for the given window only.
+	 *
+	 * @param {Window} window The window.
+	 * @param name The name of the path. Needs to be unique for the window.
+	 * @param path The path to register. Is expected to be a valid URI.
+	 * @param type Optional. The sheet type, defaults to
+	 *             DynamicStyleSheets.USER_SHEET.
+	 */
+	this.registerPathForWindow = function(window, name, path, type) {
+		type = checkSheetType(type);
+		
+		this.unregisterForWindow(window, name);
+		
+		var entry = this.getWindowEntry(window, true);
+		var styleSheet = Services.io.newURI(path, null, null);
+		var windowUtils = this.getWindowUtils(window);
+		
+		windowUtils.loadSheet(styleSheet, windowUtils[type]);
+		
+		entry.styleSheets[name] = styleSheet;
+		entry.sheetTypes[name] = type;
+		entry.registrations[name] = this.createRegistration(name, styleSheet, type, "window", window);
+		
+		this.fireEvent("register", entry.registrations[name]);
+	},
+	
+	/**
+	 * Registers the given stylesheet with the given name for the given window
+	 * only, for example a browser window or the window of a content document.
+	 * The stylesheet is automatically removed when the window is closed.
+	 *
+	 * @param {Window} window The window.
+	 * @param name The name of the stylesheet. Needs to be unique for the
+	 *             window.
+	 * @param style The content of the stylesheet to register.
+	 * @param type Optional. The sheet type, defaults to
+	 *             DynamicStyleSheets.USER_SHEET.
+	 */
+	this.registerForWindow = function(window, name, style, type) {
+		this.registerPathForWindow(window, name, this.getDataURI(style), type);
+	},
+	
+	/**
+	 * Removes the given listener for the given event.
+	 *
+	 * @param {string} event The event, "register" or "unregister".
+	 * @param {function} listener The listener to remove.
+	 */
+	this.removeEventListener = function(event, listener) {
+		if (this.listeners.hasOwnProperty(event)) {
+			var index = this.listeners[event].indexOf(listener);
+			
+			if (index >= 0) {
+				this.listeners[event].splice(index, 1);
+			}
 		}
 	},
 	
+	/**
+	 * Removes the given entry from the list of windows.
+	 *
+	 * @param {Object} entry The entry to remove.
+	 */
+	this.removeWindowEntry = function(entry) {
+		entry.window.removeEventListener("unload", entry.listener, false);
+		
+		var index = this.windows.indexOf(entry);
+		
+		if (index >= 0) {
+			this.windows.splice(index, 1);
+		}
+	},
+	
+	/**
+	 * Sets the encoding of the data: URIs which are created for new
+	 * registrations. Already registered stylesheets are not changed.
+	 *
+	 * @param {string} encoding DynamicStyleSheets.ENCODING_BASE64 (the
+	 *                          default) or
+	 *                          DynamicStyleSheets.ENCODING_PERCENT, which is
+	 *                          better readable when debugging.
+	 */
+	this.setEncoding = function(encoding) {
+		if (encoding !== DynamicStyleSheets.ENCODING_BASE64 && encoding !== DynamicStyleSheets.ENCODING_PERCENT) {
+			throw "Unknown encoding \"" + encoding + "\".";
+		}
+		
+		this.encoding = encoding;
+	},
+	
 	/**
 	 * Removes the stylesheet or path with the given name.
 	 *
@@ -136,21 +659,153 @@ var DynamicStyleSheets = function() {
 		var styleSheet = this.styleSheets[name];
 		
 		if (styleSheet != null) {
-			if (this.service.sheetRegistered(styleSheet, this.service.USER_SHEET)) {
-				this.service.unregisterSheet(styleSheet, this.service.USER_SHEET);
+			var sheetType = this.sheetTypes[name];
+			
+			if (this.service.sheetRegistered(styleSheet, sheetType)) {
+				this.service.unregisterSheet(styleSheet, sheetType);
 			}
 		}
 		
-		this.styleSheets[name] = null;
+		var registration = this.registrations[name];
+		
+		delete this.styleSheets[name];
+		delete this.sheetTypes[name];
+		delete this.registrations[name];
+		
+		if (registration != null) {
+			this.fireEvent("unregister", registration);
+		}
 	},
 	
 	/**
-	 * Removes all registered stylesheets or paths.
+	 * Removes all registered stylesheets or paths, including the ones which
+	 * are registered for single windows.
 	 */
 	this.unregisterAll = function() {
 		for ( var name in this.styleSheets) {
 			this.unregister(name);
 		}
+		
+		while (this.windows.length > 0) {
+			this.unregisterAllForWindow(this.windows[0].window);
+		}
+	},
+	
+	/**
+	 * Removes all stylesheets or paths which are registered for the given
+	 * window.
+	 *
+	 * @param {Window} window The window.
+	 */
+	this.unregisterAllForWindow = function(window) {
+		var entry = this.getWindowEntry(window, false);
+		
+		if (entry != null) {
+			for (var name in entry.styleSheets) {
+				this.unregisterForWindow(window, name);
+			}
+			
+			this.removeWindowEntry(entry);
+		}
+	},
+	
+	/**
+	 * Removes the stylesheet or path with the given name from the given
+	 * window.
+	 *
+	 * @param {Window} window The window.
+	 * @param name The name of the stylesheet or path to remove.
+	 */
+	this.unregisterForWindow = function(window, name) {
+		var entry = this.getWindowEntry(window, false);
+		
+		if (entry != null && entry.styleSheets[name] != null) {
+			var windowUtils = this.getWindowUtils(window);
+			
+			try {
+				windowUtils.removeSheet(entry.styleSheets[name], windowUtils[entry.sheetTypes[name]]);
+			} catch (e) {
+				// The window might already be closing, in which case the
+				// stylesheet is gone anyway.
+			}
+			
+			var registration = entry.registrations[name];
+			
+			delete entry.styleSheets[name];
+			delete entry.sheetTypes[name];
+			delete entry.registrations[name];
+			
+			this.fireEvent("unregister", registration);
+		}
+	},
+	
+	/**
+	 * Wraps the given CSS in the @-moz-document rule of the given target.
+	 *
+	 * @param target The target, see getNamespace().
+	 * @param {string} css The CSS string.
+	 * @param {string} format Optional. The format, see CSSFormatter.
+	 * @return {string} The wrapped CSS string, which is the given one if the
+	 *                  target does not need a @-moz-document rule.
+	 */
+	this.wrapForTarget = function(target, css, format) {
+		var condition = null;
+		
+		if (target == null || target === DynamicStyleSheets.TARGET_GENERIC) {
+			return css;
+		} else if (target === DynamicStyleSheets.TARGET_BROWSER) {
+			condition = "url(chrome://browser/content/browser.xul)";
+		} else {
+			condition = DocumentMatcher.create(target).toCSS();
+		}
+		
+		if (format === CSSFormatter.PRETTY || format === CSSFormatter.ANNOTATED) {
+			return "@-moz-document " + condition + " {\n" + css + "\n}";
+		}
+		
+		return "@-moz-document " + condition + " {" + css + "}";
 	}
 };
 
+/** The sheet type for agent stylesheets, like the default styles of Firefox. */
+DynamicStyleSheets.AGENT_SHEET = "AGENT_SHEET";
+
+/** The sheet type for user stylesheets, like userContent.css. */
+DynamicStyleSheets.USER_SHEET = "USER_SHEET";
+
+/** The sheet type for author stylesheets, like the ones of a website. */
+DynamicStyleSheets.AUTHOR_SHEET = "AUTHOR_SHEET";
+
+/** The target for stylesheets which only apply to the browser chrome. */
+DynamicStyleSheets.TARGET_BROWSER = "browser";
+
+/** The target for stylesheets which apply to all documents. */
+DynamicStyleSheets.TARGET_GENERIC = "generic";
+
+/** The encoding for base64 encoded data: URIs. */
+DynamicStyleSheets.ENCODING_BASE64 = "base64";
+
+/** The encoding for percent encoded data: URIs. */
+DynamicStyleSheets.ENCODING_PERCENT = "percent";
+
+/**
+ * Checks the given sheet type.
+ *
+ * @param {string} type The sheet type, defaults to
+ *                      DynamicStyleSheets.USER_SHEET if omitted.
+ * @return {string} The sheet type.
+ */
+function checkSheetType(type) {
+	if (typeof type === "undefined" || type === null) {
+		return DynamicStyleSheets.USER_SHEET;
+	}
+	
+	if (type !== DynamicStyleSheets.AGENT_SHEET
+			&& type !== DynamicStyleSheets.USER_SHEET
+			&& type !== DynamicStyleSheets.AUTHOR_SHEET) {
+		throw "Unknown sheet type \"" + type + "\".";
+	}
+	
+	return type;
+}
+
@@ -0,0 +1,183 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ */
+
+"use strict";
+
+var EXPORTED_SYMBOLS = [ "PreferenceBinding" ];
+
+/**
+ * Binds stylesheets of a StyleSheet to preferences. Every binding consists of
+ * a template, the preferences it depends on and optionally a condition. The
+ * template is rendered and registered as stylesheet right away and again
+ * whenever one of its preferences changes. If the condition is not met, the
+ * stylesheet is unregistered instead.
+ *
+ * @param {Preferences} preferences The Preferences to use.
+ * @param {StyleSheet} styleSheet The StyleSheet which receives the rendered
+ *                                stylesheets.
+ */
+var PreferenceBinding = function(preferences, styleSheet) {
+	/** The bindings, by the name of their stylesheet. */
+	this.bindings = {};
+	
+	/** The Preferences that is used. */
+	this.preferences = preferences;
+	
+	/** The StyleSheet that is used. */
+	this.styleSheet = styleSheet;
+	
+	/**
+	 * Binds the stylesheet with the given name to the given preferences.
+	 * An existing binding with the same name is replaced.
+	 *
+	 * @param {string} name The name of the stylesheet in the StyleSheet.
+	 * @param {Array} names The names of the preferences the stylesheet depends
+	 *                      on.
+	 * @param template The template, either a string with placeholders like
+	 *                 "${size}" which are replaced with the values of the
+	 *                 preferences, or a function which is invoked with an
+	 *                 object holding the values by the name of the
+	 *                 preferences and returns the stylesheet (a string, a
+	 *                 CSSBuilder or a CSSDocument). String templates refuse
+	 *                 values containing "{", "}" or ";", function templates
+	 *                 need to check the values themselves.
+	 * @param condition Optional. The condition, either a function which is
+	 *                  invoked with the values and returns if the stylesheet
+	 *                  should be registered, or an object with the required
+	 *                  values by the name of the preferences.
+	 * @param {Array} conditionNames Optional. The names of the additional
+	 *                               preferences a function condition depends
+	 *                               on, their values are passed to it too.
+	 *                               The preferences of an object condition
+	 *                               are always used.
+	 */
+	this.bind = function(name, names, template, condition, conditionNames) {
+		if (typeof template !== "string" && typeof template !== "function") {
+			throw "Cannot use \"" + typeof template + "\" as template.";
+		}
+		
+		this.unbind(name);
+		
+		var binding = {
+			condition : (condition != null ? condition : null),
+			handles : [],
+			names : names.slice(),
+			template : template
+		};
+		
+		if (binding.condition !== null && typeof binding.condition === "object") {
+			conditionNames = Object.keys(binding.condition);
+		}
+		
+		if (conditionNames != null) {
+			for (var conditionIndex = 0; conditionIndex < conditionNames.length; conditionIndex++) {
+				if (binding.names.indexOf(conditionNames[conditionIndex]) === -1) {
+					binding.names.push(conditionNames[conditionIndex]);
+				}
+			}
+		}
+		
+		var render = function() {
+			this.render(name);
+		}.bind(this);
+		
+		for (var index = 0; index < binding.names.length; index++) {
+			binding.handles.push(this.preferences.addListener(binding.names[index], render));
+		}
+		
+		this.bindings[name] = binding;
+		
+		this.render(name);
+	};
+	
+	/**
+	 * Checks if the condition of the given binding is met.
+	 *
+	 * @param {Object} binding The binding.
+	 * @param {Object} values The values of the preferences.
+	 * @return {boolean} true if the condition is met or there is none.
+	 */
+	this.isConditionMet = function(binding, values) {
+		if (binding.condition === null) {
+			return true;
+		} else if (typeof binding.condition === "function") {
+			return !!binding.condition(values);
+		}
+		
+		for (var name in binding.condition) {
+			if (values[name] !== binding.condition[name]) {
+				return false;
+			}
+		}
+		
+		return true;
+	};
+	
+	/**
+	 * Renders the stylesheet with the given name and registers it, or
+	 * unregisters it if the condition of its binding is not met.
+	 *
+	 * @param {string} name The name of the stylesheet.
+	 */
+	this.render = function(name) {
+		var binding = this.bindings[name];
+		var values = {};
+		
+		for (var index = 0; index < binding.names.length; index++) {
+			values[binding.names[index]] = this.preferences.get(binding.names[index], null);
+		}
+		
+		if (!this.isConditionMet(binding, values)) {
+			this.styleSheet.unregister(name);
+		} else if (typeof binding.template === "function") {
+			this.styleSheet.register(name, binding.template(values));
+		} else {
+			this.styleSheet.register(name, binding.template.replace(/\$\{([^}]+)\}/g, function(match, preference) {
+				if (!values.hasOwnProperty(preference)) {
+					throw "The template of \"" + name + "\" uses the unbound preference \"" + preference + "\".";
+				} else if (/[{};]/.test(String(values[preference]))) {
+					throw "The value of \"" + preference + "\" cannot be used in the template of \"" + name + "\".";
+				}
+				
+				return values[preference];
+			}));
+		}
+	};
+	
+	/**
+	 * Removes the binding of the stylesheet with the given name and
+	 * unregisters the stylesheet.
+	 *
+	 * @param {string} name The name of the stylesheet.
+	 */
+	this.unbind = function(name) {
+		var binding = this.bindings[name];
+		
+		if (binding == null) {
+			return;
+		}
+		
+		for (var index = 0; index < binding.handles.length; index++) {
+			binding.handles[index].remove();
+		}
+		
+		delete this.bindings[name];
+		
+		this.styleSheet.unregister(name);
+	};
+	
+	/**
+	 * Removes all bindings and unregisters their stylesheets, should be
+	 * invoked on shutdown.
+	 */
+	this.unbindAll = function() {
+		for (var name in this.bindings) {
+			this.unbind(name);
+		}
+	};
+};
+
@@ -9,15 +9,92 @@
 
 var EXPORTED_SYMBOLS = [ "Preferences" ];
 
+/** The functions which run the migrations, by their action. */
+var MIGRATIONS = {
+	custom : function(preferences, migration) {
+		migration.migrate(preferences);
+	},
+	
+	merge : function(preferences, migration) {
+		var values = [];
+		var found = false;
+		
+		for (var index = 0; index < migration.from.length; index++) {
+			var value = readValue(preferences, migration.from[index]);
+			
+			found = found || value !== null;
+			values.push(value !== null ? value.value : null);
+		}
+		
+		if (!found) {
+			return;
+		}
+		
+		writeValue(preferences, migration.to, migration.merge(values), migration.type);
+		
+		for (index = 0; index < migration.from.length; index++) {
+			preferences.reset(migration.from[index]);
+		}
+	},
+	
+	rename : function(preferences, migration) {
+		var value = readValue(preferences, migration.from);
+		
+		if (value !== null) {
+			writeValue(preferences, migration.to, value.value, value.type);
+			preferences.reset(migration.from);
+		}
+	},
+	
+	retype : function(preferences, migration) {
+		var value = readValue(preferences, migration.name);
+		
+		if (value !== null) {
+			var converted = (migration.convert != null ? migration.convert(value.value) : convertValue(value.value, migration.type));
+			
+			prepareType(preferences, migration.name, migration.type);
+			writeValue(preferences, migration.name, converted, migration.type);
+		}
+	},
+	
+	split : function(preferences, migration) {
+		var value = readValue(preferences, migration.from);
+		
+		if (value === null) {
+			return;
+		}
+		
+		var values = migration.split(value.value);
+		
+		for (var index = 0; index < migration.to.length; index++) {
+			writeValue(preferences, migration.to[index], values[index], (migration.types != null ? migration.types[index] : null));
+		}
+		
+		preferences.reset(migration.from);
+	}
+};
+
+/** The keys which are allowed in the schema of a preference. */
+var SCHEMA_KEYS = [ "type", "default", "min", "max", "values", "pattern", "validator", "reset", "onChange" ];
+
 /**
  * A utility that allows to easily register preferences with default values an
  * callbacks in case that the value of the preference changes.
  */
 var Preferences = function() {
+	/** The names of the preferences which changed during a batch. */
+	this.batchChanges = [];
+	
+	/** The nesting depth of batch(). */
+	this.batchDepth = 0;
+	
 	/** The root branch of the preferences. */
 	this.branch = null;
 	
-	/** The callbacks that should be invoked. */
+	/**
+	 * The callbacks that should be invoked, by the name of the preference or
+	 * the wildcard pattern.
+	 */
 	this.changeCallbacks = {};
 	
 	/** The default preference service provided by Firefox. */
@@ -29,21 +106,142 @@ var Preferences = function() {
 		/** The preferences service provided by Firefox. */
 	this.preferences = null;
 	
+	/** The handles of the callbacks given to register(), by name. */
+	this.registeredHandles = {};
+	
+	/** The schemas of the preferences declared with define(), by name. */
+	this.schemas = {};
+	
+	/** The types of the registered preferences, by name. */
+	this.types = {};
+	
 	/**
-	 * Adds a listener for the given prefrence.
+	 * Adds a listener for the given prefrence. Any number of listeners can be
+	 * added for the same preference.
 	 *
-	 * @param {string} name The name of the preference.
+	 * @param {string} name The name of the preference, or a wildcard pattern
+	 *                      like "colors.*" which matches all preferences in
+	 *                      the sub-branch, or "*" for all preferences.
 	 * @param {function} onChange The callback/function to invoke if the
 	 *                            preference changes. This will be invoked right
 	 *                            after the preference is registered.
 	 *                            The callback is expected to take two
 	 *                            parameters, the name of the preference and
-	 *                            its value.
-	 * @param {function} getFunction The function to get the value.
+	 *                            its value. Can be null, in which case only
+	 *                            the getFunction is set.
+	 * @param {function} getFunction Optional. The function to get the value.
+	 * @returns {Object} The handle of the listener, its remove() function
+	 *                   removes just this listener.
 	 */
 	this.addListener = function(name, onChange, getFunction) {
-		this.changeCallbacks[name] = onChange;
-		this.getFunctions[name] = getFunction;
+		if (onChange != null) {
+			if (!this.changeCallbacks.hasOwnProperty(name)) {
+				this.changeCallbacks[name] = [];
+			}
+			
+			this.changeCallbacks[name].push(onChange);
+		}
+		
+		if (getFunction != null) {
+			this.getFunctions[name] = getFunction;
+		}
+		
+		var preferences = this;
+		
+		return {
+			name : name,
+			onChange : onChange,
+			remove : function() {
+				preferences.removeListener(name, onChange);
+			}
+		};
+	};
+	
+	/**
+	 * Creates a backup of the user values of all preferences under the
+	 * branch, which can be restored with undo(). The backups are stored in
+	 * the preference Preferences.BACKUPS, only the last
+	 * Preferences.MAX_BACKUPS are kept.
+	 * 
+	 * @param {string} reason The reason for the backup, for example "import".
+	 */
+	this.backup = function(reason) {
+		storeBackup(this, reason, createBackup(this));
+	};
+	
+	/**
+	 * Runs the given function as batch, the change callbacks are invoked
+	 * once per changed preference after the (outermost) batch completed,
+	 * even if the function throws.
+	 * 
+	 * @param {function} fn The function, which is invoked with this
+	 *                      Preferences as parameter.
+	 */
+	this.batch = function(fn) {
+		this.batchDepth++;
+		
+		try {
+			fn(this);
+		} finally {
+			this.batchDepth--;
+			
+			if (this.batchDepth === 0) {
+				var changes = this.batchChanges;
+				this.batchChanges = [];
+				
+				for (var index = 0; index < changes.length; index++) {
+					this.observe(null, "nsPref:changed", changes[index]);
+				}
+			}
+		}
+	};
+	
+	/**
+	 * Declares and registers all preferences of the given schema. Invalid
+	 * values are replaced with the default value before the callbacks are
+	 * invoked.
+	 * 
+	 * @param {Object} schema The schema, the name of every preference mapped
+	 *                        to an object with the following keys:
+	 *                        type - The type, see Preferences.TYPES.
+	 *                        default - The default value.
+	 *                        min, max - Optional. The minimum and maximum of
+	 *                                   number preferences.
+	 *                        values - Optional. The allowed values.
+	 *                        pattern - Optional. A regular expression (or
+	 *                                  string) string values have to match.
+	 *                        validator - Optional. A function which is invoked
+	 *                                    with the value and the name and
+	 *                                    returns if the value is valid.
+	 *                        reset - Optional. If invalid values should be
+	 *                                reset to the default value.
+	 *                        onChange - Optional. The callback, see
+	 *                                   register().
+	 */
+	this.define = function(schema) {
+		var name = null;
+		
+		for (name in schema) {
+			for (var key in schema[name]) {
+				if (SCHEMA_KEYS.indexOf(key) < 0) {
+					throw "Unknown key \"" + key + "\" for \"" + name + "\", expected one of " + SCHEMA_KEYS.join(", ") + ".";
+				}
+			}
+			
+			if (!Preferences.TYPES.hasOwnProperty(schema[name].type)) {
+				throw "Unknown type \"" + schema[name].type + "\" for \"" + name + "\".";
+			}
+			
+			if (!isValid(schema[name], name, schema[name]["default"])) {
+				throw "The default value of \"" + name + "\" is not valid.";
+			}
+		}
+		
+		for (name in schema) {
+			this.schemas[name] = schema[name];
+			
+			this["register" + Preferences.TYPES[schema[name].type]](name, schema[name]["default"], schema[name].onChange);
+		}
 	};
 	
 	/**
@@ -58,6 +256,94 @@ var Preferences = function() {
 		this.defaultPreferences = null;
 		this.preferences = null;
 		this.getFunctions = null;
+		this.registeredHandles = null;
+		this.schemas = null;
+		this.types = null;
+	};
+	
+	/**
+	 * Exports all preferences under the branch (except the internal ones) as
+	 * typed JSON document, which can be imported with importPreferences().
+	 * The values are the ones the callbacks receive, so preferences which
+	 * cannot be read are exported with their default value or left out.
+	 * 
+	 * @returns {string} The JSON document.
+	 */
+	this.exportPreferences = function() {
+		var document = {
+			branch : this.branch,
+			exported : new Date().toISOString(),
+			preferences : {}
+		};
+		
+		var names = this.getNames();
+		
+		for (var index = 0; index < names.length; index++) {
+			var name = names[index];
+			
+			var value = getExportValue(this, name);
+			
+			if (value !== null) {
+				document.preferences[name] = {
+					type : getType(this, name),
+					user : this.hasUserValue(name),
+					value : value
+				};
+			}
+		}
+		
+		return JSON.stringify(document, null, "\t");
+	};
+	
+	/**
+	 * Gets a preference of any type, the type is the one it has been
+	 * registered with or is determined from the preference itself. If the
+	 * preference does not exist, the given default value is returned instead.
+	 * If the preference has been declared with define() and its value is
+	 * invalid, the default value of the schema is returned.
+	 * 
+	 * @param {string} name The name of the preference.
+	 * @param defaultValue The default value to return in case that the
+	 *                     preference does not exist.
+	 * @returns The value of the preference, or the default value if the
+	 *          preference does not exist.
+	 */
+	this.get = function(name, defaultValue) {
+		var type = this.preferences.getPrefType(name);
+		var value = defaultValue;
+		
+		if (this.types.hasOwnProperty(name)) {
+			value = this["get" + Preferences.TYPES[this.types[name]]](name, defaultValue);
+		} else if (type === Components.interfaces.nsIPrefBranch.PREF_BOOL) {
+			value = this.getBool(name, defaultValue);
+		} else if (type === Components.interfaces.nsIPrefBranch.PREF_INT) {
+			value = this.getInt(name, defaultValue);
+		} else if (type === Components.interfaces.nsIPrefBranch.PREF_STRING) {
+			value = this.getString(name, defaultValue);
+		}
+		
+		if (!this.isValid(name, value)) {
+			return this.schemas[name]["default"];
+		}
+		
+		return value;
+	};
+	
+	/**
+	 * Gets the backups which can be restored with undo(), the last one is
+	 * restored first.
+	 * 
+	 * @returns {Array} The backups, each with the reason and the time.
+	 */
+	this.getBackups = function() {
+		var backups = this.getJSON(Preferences.BACKUPS, []);
+		
+		return backups.map(function(backup) {
+			return {
+				reason : backup.reason,
+				time : backup.time
+			};
+		});
 	};
 	
 	/**
@@ -100,6 +386,26 @@ var Preferences = function() {
 		return defaultValue;
 	};
 	
+	/**
+	 * Gets a float preference. If the preference does not exist or is not a
+	 * number, the given default value is returned instead.
+	 * 
+	 * @param {string} name The name of the preference.
+	 * @param {number} defaultValue The default value to return in case that the
+	 *                              preference does not exist.
+	 * @returns {number} The value of the preference, or the default value if
+	 *                   the preference does not exist.
+	 */
+	this.getFloat = function(name, defaultValue) {
+		var text = this.getString(name, null);
+		
+		if (text === null || text.trim() === "" || !isFinite(Number(text))) {
+			return defaultValue;
+		}
+		
+		return Number(text);
+	};
+	
 	/**
 	 * Gets an int preference. If the preference does not exist, the given
 	 * default value is returned instead.
@@ -120,21 +426,233 @@ var Preferences = function() {
 		return defaultValue;
 	};
 	
+	/**
+	 * Gets a JSON preference. If the preference does not exist or is not
+	 * valid JSON, the given default value is returned instead.
+	 * 
+	 * @param {string} name The name of the preference.
+	 * @param defaultValue The default value to return in case that the
+	 *                     preference does not exist.
+	 * @returns The parsed value of the preference, or the default value if
+	 *          the preference does not exist.
+	 */
+	this.getJSON = function(name, defaultValue) {
+		var text = this.getString(name, null);
+		
+		if (text === null) {
+			return defaultValue;
+		}
+		
+		try {
+			return JSON.parse(text);
+		} catch (e) {
+			// Empty on purpose
+		}
+		
+		return defaultValue;
+	};
+	
+	/**
+	 * Gets the names of all preferences which exist under the branch, except
+	 * the internal ones (see Preferences.RESERVED_BRANCH).
+	 * 
+	 * @returns {Array} The names of the preferences, without the branch and
+	 *                  sorted.
+	 */
+	this.getNames = function() {
+		return this.preferences.getChildList("", {}).filter(function(name) {
+			return !isReserved(name);
+		}).sort();
+	};
+	
+	/**
+	 * Gets a (Unicode) string preference. Unlike getChar(), non-ASCII
+	 * characters are preserved. If the preference does not exist, the given
+	 * default value is returned instead.
+	 * 
+	 * @param {string} name The name of the preference.
+	 * @param {string} defaultValue The default value to return in case that the
+	 *                              preference does not exist.
+	 * @returns {string} The value of the preference, or the default value if
+	 *                   the preference does not exist.
+	 */
+	this.getString = function(name, defaultValue) {
+		try {
+			return this.preferences.getComplexValue(name, Components.interfaces.nsISupportsString).data;
+		} catch (e) {
+			// Empty on purpose
+		}
+		
+		return defaultValue;
+	};
+	
+	/**
+	 * Gets a string list preference, which is stored as JSON array. If the
+	 * preference does not exist or is not a list of strings, the given
+	 * default value is returned instead.
+	 * 
+	 * @param {string} name The name of the preference.
+	 * @param {Array} defaultValue The default value to return in case that the
+	 *                             preference does not exist.
+	 * @returns {Array} The value of the preference, or the default value if
+	 *                  the preference does not exist.
+	 */
+	this.getStringList = function(name, defaultValue) {
+		var value = this.getJSON(name, null);
+		
+		if (!isStringList(value)) {
+			return defaultValue;
+		}
+		
+		return value;
+	};
+	
+	/**
+	 * Checks if the given preference has a user value, means that it differs
+	 * from its default value.
+	 * 
+	 * @param {string} name The name of the preference.
+	 * @returns {boolean} true if the preference has a user value.
+	 */
+	this.hasUserValue = function(name) {
+		return this.preferences.prefHasUserValue(name);
+	};
+	
+	/**
+	 * Imports the given document, as created by exportPreferences(). All
+	 * values are checked against their type and their schema first, if any
+	 * value is invalid nothing is imported. Before the values are written, a
+	 * backup is created (see backup()), so that the import can be undone.
+	 * 
+	 * @param document The document, either the JSON string or the parsed
+	 *                 object.
+	 * @param {string} mode Optional. Either Preferences.IMPORT_MERGE (the
+	 *                      default), which keeps all preferences which are not
+	 *                      part of the document, or Preferences.IMPORT_REPLACE,
+	 *                      which resets them.
+	 * @param {boolean} dryRun Optional. If true, the changes are only
+	 *                         determined but not applied.
+	 * @returns {Array} The changes, each with the name, the action ("add",
+	 *                  "change" or "reset"), the old user value (null if there
+	 *                  is none) and the new value.
+	 */
+	this.importPreferences = function(document, mode, dryRun) {
+		if (typeof document === "string") {
+			try {
+				document = JSON.parse(document);
+			} catch (e) {
+				throw "Cannot parse the document: " + e;
+			}
+		}
+		
+		if (document == null || typeof document.preferences !== "object" || document.preferences === null) {
+			throw "The document does not contain any preferences.";
+		}
+		
+		if (mode != null && mode !== Preferences.IMPORT_MERGE && mode !== Preferences.IMPORT_REPLACE) {
+			throw "Unknown import mode \"" + mode + "\".";
+		}
+		
+		var changes = [];
+		var errors = [];
+		var entry = null;
+		var name = null;
+		
+		for (name in document.preferences) {
+			entry = document.preferences[name];
+			
+			if (isReserved(name)) {
+				continue;
+			} else if (entry == null || !Preferences.TYPES.hasOwnProperty(entry.type)) {
+				errors.push("\"" + name + "\" has an unknown type");
+			} else if (this.types.hasOwnProperty(name) && this.types[name] !== entry.type) {
+				errors.push("\"" + name + "\" is a " + entry.type + " preference, expected " + this.types[name]);
+			} else if (entry.user !== false && (!isValid({ type : entry.type }, name, entry.value) || !this.isValid(name, entry.value))) {
+				errors.push("\"" + name + "\" has the invalid value \"" + entry.value + "\"");
+			} else {
+				var current = null;
+				
+				if (this.hasUserValue(name)) {
+					current = this["get" + Preferences.TYPES[entry.type]](name, null);
+				}
+				
+				if (entry.user === false) {
+					if (this.hasUserValue(name)) {
+						changes.push({ action : "reset", name : name, oldValue : current, value : null });
+					}
+				} else if (!this.hasUserValue(name) || JSON.stringify(current) !== JSON.stringify(entry.value)) {
+					changes.push({
+						action : (this.preferences.getPrefType(name) === Components.interfaces.nsIPrefBranch.PREF_INVALID ? "add" : "change"),
+						name : name,
+						oldValue : current,
+						value : entry.value
+					});
+				}
+			}
+		}
+		
+		if (errors.length > 0) {
+			throw "Cannot import the preferences: " + errors.join(", ") + ".";
+		}
+		
+		if (mode === Preferences.IMPORT_REPLACE) {
+			var names = this.getNames();
+			
+			for (var index = 0; index < names.length; index++) {
+				name = names[index];
+				
+				if (!document.preferences.hasOwnProperty(name) && this.hasUserValue(name)) {
+					changes.push({ action : "reset", name : name, oldValue : this.get(name, null), value : null });
+				}
+			}
+		}
+		
+		if (dryRun || changes.length === 0) {
+			return changes;
+		}
+		
+		this.backup("import");
+		
+		this.batch(function() {
+			for (var index = 0; index < changes.length; index++) {
+				var change = changes[index];
+				
+				if (change.action === "reset") {
+					this.reset(change.name);
+				} else {
+					var type = document.preferences[change.name].type;
+					
+					prepareType(this, change.name, type);
+					writeValue(this, change.name, change.value, type);
+				}
+			}
+		}.bind(this));
+		
+		return changes;
+	};
+	
 	/**
 	 * Initializes this Preferences object.
 	 * 
 	 * @param {string} branch The branch/prefix of all preferences managed by
 	 *                        this.
+	 * @param {Array} migrations Optional. The migrations which should be run,
+	 *                           see migrate().
 	 */
-	this.init = function(branch) {
+	this.init = function(branch, migrations) {
 		this.destroy();
 		
 		this.branch = branch;
 		
+		this.batchChanges = [];
+		this.batchDepth = 0;
 		this.changeCallbacks = {};
 		this.defaultPreferences = {};
 		this.preferences = {};
 		this.getFunctions = {};
+		this.registeredHandles = {};
+		this.schemas = {};
+		this.types = {};
 		
 		this.defaultPreferences = Components
 			.classes["@mozilla.org/preferences-service;1"]
@@ -146,6 +664,120 @@ var Preferences = function() {
 			.getBranch(this.branch);
 		this.preferences.QueryInterface(Components.interfaces.nsIPrefBranch);
 		this.preferences.addObserver("", this, false);
+		
+		if (migrations != null) {
+			this.migrate(migrations);
+		}
+	};
+	
+	/**
+	 * Checks if the given value is valid for the preference with the given
+	 * name, according to its schema (see define()).
+	 * 
+	 * @param {string} name The name of the preference.
+	 * @param value The value.
+	 * @returns {boolean} true if the value is valid or the preference does
+	 *                    not have a schema.
+	 */
+	this.isValid = function(name, value) {
+		if (!this.schemas.hasOwnProperty(name)) {
+			return true;
+		}
+		
+		return isValid(this.schemas[name], name, value);
+	};
+	
+	/**
+	 * Runs all given migrations which have not been run yet. The version of
+	 * the last migration which has been run is stored in the preference
+	 * Preferences.MIGRATION_VERSION, the record of all migrations in
+	 * Preferences.MIGRATION_RECORD. If a migration throws, all changes it did
+	 * are reverted, the error is reported and no further migrations are run.
+	 * Before the first migration which changes a preference, a backup is
+	 * created (see backup()), so that all migrations can be undone.
+	 * 
+	 * @param {Array} migrations The migrations, ordered by their version. Every
+	 *                           migration is an object with the version (an
+	 *                           int greater than 0), the action and the
+	 *                           parameters of the action:
+	 *                           rename - from and to, the old and the new
+	 *                                    name.
+	 *                           retype - name, type (see Preferences.TYPES)
+	 *                                    and optionally convert, a function
+	 *                                    which converts the old value.
+	 *                           split - from, to (an array of names) and
+	 *                                   split, a function which returns an
+	 *                                   array with the new values.
+	 *                           merge - from (an array of names), to and
+	 *                                   merge, a function which is invoked
+	 *                                   with an array of the old values (null
+	 *                                   for missing ones) and returns the new
+	 *                                   value.
+	 *                           custom - migrate, a function which is invoked
+	 *                                    with this Preferences.
+	 *                           The values of split and merge are stored with
+	 *                           the given type, or otherwise see set().
+	 * @returns {boolean} true if all migrations have been run successfully.
+	 */
+	this.migrate = function(migrations) {
+		var version = this.getInt(Preferences.MIGRATION_VERSION, 0);
+		var previousVersion = 0;
+		
+		for (var index = 0; index < migrations.length; index++) {
+			var migration = migrations[index];
+			
+			if (typeof migration.version !== "number" || migration.version <= previousVersion) {
+				throw "The migrations need to be ordered by their version, \"" + migration.version + "\" is out of order.";
+			}
+			
+			if (!MIGRATIONS.hasOwnProperty(migration.action)) {
+				throw "Unknown migration action \"" + migration.action + "\", expected one of " + Object.keys(MIGRATIONS).join(", ") + ".";
+			}
+			
+			previousVersion = migration.version;
+		}
+		
+		var backedUp = false;
+		var initialVersion = version;
+		
+		for (index = 0; index < migrations.length; index++) {
+			migration = migrations[index];
+			
+			if (migration.version > version) {
+				var backup = createBackup(this);
+				
+				try {
+					MIGRATIONS[migration.action](this, migration);
+				} catch (e) {
+					restoreBackup(this, backup);
+					
+					Components.utils.reportError("Migration to version " + migration.version + " of \"" + this.branch + "\" failed: " + e);
+					
+					return false;
+				}
+				
+				// The previous migrations did not change anything, so the
+				// backup holds the values from before the first one.
+				if (!backedUp && JSON.stringify(backup) !== JSON.stringify(createBackup(this))) {
+					storeBackup(this, "migration from version " + initialVersion, backup);
+					backedUp = true;
+				}
+				
+				var record = this.getJSON(Preferences.MIGRATION_RECORD, []);
+				record.push({
+					action : migration.action,
+					time : new Date().toISOString(),
+					version : migration.version
+				});
+				
+				this.setJSON(Preferences.MIGRATION_RECORD, record);
+				this.setInt(Preferences.MIGRATION_VERSION, migration.version);
+				
+				version = migration.version;
+			}
+		}
+		
+		return true;
 	};
 	
 	/**
@@ -160,11 +792,45 @@ var Preferences = function() {
 			return;
 		}
 		
-		var changeCallback = this.changeCallbacks[data];
+		if (this.batchDepth > 0) {
+			if (this.batchChanges.indexOf(data) < 0) {
+				this.batchChanges.push(data);
+			}
+			
+			return;
+		}
 		
-		if (changeCallback != null) {
-			var value = this.getFunctions[data](data);
-			changeCallback(data, value);
+		var changeCallbacks = [];
+		
+		for (var name in this.changeCallbacks) {
+			if (matches(name, data)) {
+				changeCallbacks = changeCallbacks.concat(this.changeCallbacks[name]);
+			}
+		}
+		
+		if (changeCallbacks.length > 0) {
+			var value = null;
+			
+			if (this.getFunctions.hasOwnProperty(data)) {
+				value = this.getFunctions[data](data);
+			} else {
+				value = this.get(data, null);
+			}
+			
+			if (!this.isValid(data, value)) {
+				// Resetting the preference invokes this again with the
+				// default value.
+				if (this.schemas[data].reset && this.preferences.prefHasUserValue(data)) {
+					this.preferences.clearUserPref(data);
+					return;
+				}
+				
+				value = this.schemas[data]["default"];
+			}
+			
+			for (var index = 0; index < changeCallbacks.length; index++) {
+				changeCallbacks[index](data, value);
+			}
 		}
 	};
 	
@@ -186,7 +852,12 @@ var Preferences = function() {
 	this.register = function(name, defaultValue, onChange, defaultFunction, getFunction) {
 		defaultFunction(name, defaultValue);
 		
-		this.addListener(name, onChange, getFunction);
+		// Registering the same preference again replaces the callback.
+		if (this.registeredHandles.hasOwnProperty(name)) {
+			this.registeredHandles[name].remove();
+		}
+		
+		this.registeredHandles[name] = this.addListener(name, onChange, getFunction);
 		
 		// Invoke the observe method so that the callback is invoked at least
 		// once right after the preference is registered.
@@ -206,6 +877,7 @@ var Preferences = function() {
 	 *                            its value.
 	 */
 	this.registerBool = function(name, defaultValue, onChange) {
+		this.types[name] = "bool";
 		this.register(name, defaultValue, onChange, this.defaultPreferences.setBoolPref, this.preferences.getBoolPref);
 	};
 	
@@ -222,9 +894,31 @@ var Preferences = function() {
 	 *                            its value.
 	 */
 	this.registerChar = function(name, defaultValue, onChange) {
+		this.types[name] = "char";
 		this.register(name, defaultValue, onChange, this.defaultPreferences.setCharPref, this.preferences.getCharPref);
 	};
 	
+	/**
+	 * Registers a new float preference, which is stored as string.
+	 * 
+	 * @param {string} name The name of the preference, without the branch/root.
+	 * @param {number} defaultValue The default value of the preference.
+	 * @param {function} onChange The callback/function to invoke if the
+	 *                            preference changes. This will be invoked right
+	 *                            after the preference is registered.
+	 *                            The callback is expected to take two
+	 *                            parameters, the name of the preference and
+	 *                            its value.
+	 */
+	this.registerFloat = function(name, defaultValue, onChange) {
+		this.types[name] = "float";
+		this.register(name, defaultValue, onChange, function(name, value) {
+			setComplexString(this.defaultPreferences, name, String(checkFloat(value)));
+		}.bind(this), function(name) {
+			return this.getFloat(name, defaultValue);
+		}.bind(this));
+	};
+	
 	/**
 	 * Registers a new int preference.
 	 * 
@@ -238,7 +932,715 @@ var Preferences = function() {
 	 *                            its value.
 	 */
 	this.registerInt = function(name, defaultValue, onChange) {
+		this.types[name] = "int";
 		this.register(name, defaultValue, onChange, this.defaultPreferences.setIntPref, this.preferences.getIntPref);
 	};
+	
+	/**
+	 * Registers a new JSON preference, the value can be anything that can be
+	 * serialized as JSON. If the stored value is not valid JSON, the default
+	 * value is used instead.
+	 * 
+	 * @param {string} name The name of the preference, without the branch/root.
+	 * @param defaultValue The default value of the preference.
+	 * @param {function} onChange The callback/function to invoke if the
+	 *                            preference changes. This will be invoked right
+	 *                            after the preference is registered.
+	 *                            The callback is expected to take two
+	 *                            parameters, the name of the preference and
+	 *                            its value.
+	 */
+	this.registerJSON = function(name, defaultValue, onChange) {
+		this.types[name] = "json";
+		this.register(name, defaultValue, onChange, function(name, value) {
+			setComplexString(this.defaultPreferences, name, JSON.stringify(value));
+		}.bind(this), function(name) {
+			return this.getJSON(name, defaultValue);
+		}.bind(this));
+	};
+	
+	/**
+	 * Registers a new (Unicode) string preference, see getString().
+	 * 
+	 * @param {string} name The name of the preference, without the branch/root.
+	 * @param {string} defaultValue The default value of the preference.
+	 * @param {function} onChange The callback/function to invoke if the
+	 *                            preference changes. This will be invoked right
+	 *                            after the preference is registered.
+	 *                            The callback is expected to take two
+	 *                            parameters, the name of the preference and
+	 *                            its value.
+	 */
+	this.registerString = function(name, defaultValue, onChange) {
+		this.types[name] = "string";
+		this.register(name, defaultValue, onChange, function(name, value) {
+			setComplexString(this.defaultPreferences, name, value);
+		}.bind(this), function(name) {
+			return this.getString(name, defaultValue);
+		}.bind(this));
+	};
+	
+	/**
+	 * Registers a new string list preference, see getStringList().
+	 * 
+	 * @param {string} name The name of the preference, without the branch/root.
+	 * @param {Array} defaultValue The default value of the preference.
+	 * @param {function} onChange The callback/function to invoke if the
+	 *                            preference changes. This will be invoked right
+	 *                            after the preference is registered.
+	 *                            The callback is expected to take two
+	 *                            parameters, the name of the preference and
+	 *                            its value.
+	 */
+	this.registerStringList = function(name, defaultValue, onChange) {
+		this.types[name] = "stringList";
+		this.register(name, defaultValue, onChange, function(name, value) {
+			setComplexString(this.defaultPreferences, name, JSON.stringify(checkStringList(value)));
+		}.bind(this), function(name) {
+			return this.getStringList(name, defaultValue);
+		}.bind(this));
+	};
+	
+	/**
+	 * Removes the given preference, including its default value, and forgets
+	 * its registration. The listeners which have been added with
+	 * addListener() are kept and invoked with null as value. Preferences
+	 * which have child preferences (like "colors" with "colors.background")
+	 * cannot be removed, because removing them would also delete the
+	 * children.
+	 * 
+	 * @param {string} name The name of the preference.
+	 */
+	this.remove = function(name) {
+		if (hasChildPreferences(this, name)) {
+			throw "Cannot remove \"" + name + "\", it has child preferences.";
+		}
+		
+		if (this.registeredHandles.hasOwnProperty(name)) {
+			this.registeredHandles[name].remove();
+		}
+		
+		delete this.getFunctions[name];
+		delete this.registeredHandles[name];
+		delete this.schemas[name];
+		delete this.types[name];
+		
+		this.preferences.deleteBranch(name);
+	};
+	
+	/**
+	 * Removes the given listener for the given preference.
+	 * 
+	 * @param {string} name The name of the preference or the wildcard pattern,
+	 *                      as given to addListener().
+	 * @param {function} onChange The callback to remove.
+	 */
+	this.removeListener = function(name, onChange) {
+		if (this.changeCallbacks == null || !this.changeCallbacks.hasOwnProperty(name)) {
+			return;
+		}
+		
+		var index = this.changeCallbacks[name].indexOf(onChange);
+		
+		if (index >= 0) {
+			this.changeCallbacks[name].splice(index, 1);
+		}
+		
+		if (this.changeCallbacks[name].length === 0) {
+			delete this.changeCallbacks[name];
+		}
+	};
+	
+	/**
+	 * Resets the given preference to its default value.
+	 * 
+	 * @param {string} name The name of the preference.
+	 */
+	this.reset = function(name) {
+		if (this.preferences.prefHasUserValue(name)) {
+			this.preferences.clearUserPref(name);
+		}
+	};
+	
+	/**
+	 * Sets a preference of any type. The type is the one the preference has
+	 * been registered with, or otherwise determined from the value (bool,
+	 * int or string).
+	 * 
+	 * @param {string} name The name of the preference.
+	 * @param value The value.
+	 */
+	this.set = function(name, value) {
+		var type = this.types[name];
+		
+		if (type == null) {
+			if (typeof value === "boolean") {
+				type = "bool";
+			} else if (typeof value === "number" && Math.floor(value) === value) {
+				type = "int";
+			} else if (typeof value === "string") {
+				type = "string";
+			} else {
+				throw "Cannot determine the type of \"" + name + "\", it needs to be registered first.";
+			}
+		}
+		
+		this["set" + Preferences.TYPES[type]](name, value);
+	};
+	
+	/**
+	 * Sets a bool preference.
+	 * 
+	 * @param {string} name The name of the preference.
+	 * @param {boolean} value The value.
+	 */
+	this.setBool = function(name, value) {
+		checkValue(this, "bool", name, value);
+		
+		this.preferences.setBoolPref(name, value);
+	};
+	
+	/**
+	 * Sets a char preference.
+	 * 
+	 * @param {string} name The name of the preference.
+	 * @param {string} value The value.
+	 */
+	this.setChar = function(name, value) {
+		checkValue(this, "char", name, value);
+		
+		this.preferences.setCharPref(name, value);
+	};
+	
+	/**
+	 * Sets a float preference.
+	 * 
+	 * @param {string} name The name of the preference.
+	 * @param {number} value The value.
+	 */
+	this.setFloat = function(name, value) {
+		checkValue(this, "float", name, value);
+		
+		setComplexString(this.preferences, name, String(value));
+	};
+	
+	/**
+	 * Sets an int preference.
+	 * 
+	 * @param {string} name The name of the preference.
+	 * @param {int} value The value.
+	 */
+	this.setInt = function(name, value) {
+		checkValue(this, "int", name, value);
+		
+		this.preferences.setIntPref(name, value);
+	};
+	
+	/**
+	 * Sets a JSON preference.
+	 * 
+	 * @param {string} name The name of the preference.
+	 * @param value The value, which is serialized as JSON.
+	 */
+	this.setJSON = function(name, value) {
+		checkValue(this, "json", name, value);
+		
+		setComplexString(this.preferences, name, JSON.stringify(value));
+	};
+	
+	/**
+	 * Sets a (Unicode) string preference.
+	 * 
+	 * @param {string} name The name of the preference.
+	 * @param {string} value The value.
+	 */
+	this.setString = function(name, value) {
+		checkValue(this, "string", name, value);
+		
+		setComplexString(this.preferences, name, value);
+	};
+	
+	/**
+	 * Sets a string list preference.
+	 * 
+	 * @param {string} name The name of the preference.
+	 * @param {Array} value The list of strings.
+	 */
+	this.setStringList = function(name, value) {
+		checkValue(this, "stringList", name, value);
+		
+		setComplexString(this.preferences, name, JSON.stringify(value));
+	};
+	
+	/**
+	 * Restores the last backup (see backup()) and removes it, so that the
+	 * last import or migration is undone.
+	 * 
+	 * @returns {boolean} true if a backup has been restored, false if there
+	 *                    is none.
+	 */
+	this.undo = function() {
+		var backups = this.getJSON(Preferences.BACKUPS, []);
+		
+		if (backups.length === 0) {
+			return false;
+		}
+		
+		var backup = backups.pop();
+		
+		this.setJSON(Preferences.BACKUPS, backups);
+		
+		this.batch(function() {
+			restoreBackup(this, backup.values);
+		}.bind(this));
+		
+		return true;
+	};
 };
 
+/**
+ * The sub-branch which holds the internal preferences, like the backups and
+ * the migrations. It is excluded from getNames(), wildcard listeners, exports
+ * and imports.
+ */
+Preferences.RESERVED_BRANCH = "__sfab.";
+
+/** The name of the preference which holds the backups. */
+Preferences.BACKUPS = Preferences.RESERVED_BRANCH + "backups";
+
+/** The maximum number of backups which are kept. */
+Preferences.MAX_BACKUPS = 5;
+
+/** The import mode which keeps preferences that are not imported. */
+Preferences.IMPORT_MERGE = "merge";
+
+/** The import mode which resets preferences that are not imported. */
+Preferences.IMPORT_REPLACE = "replace";
+
+/** The name of the preference which holds the version of the migrations. */
+Preferences.MIGRATION_VERSION = Preferences.RESERVED_BRANCH + "migrations.version";
+
+/** The name of the preference which holds the record of the migrations. */
+Preferences.MIGRATION_RECORD = Preferences.RESERVED_BRANCH + "migrations.record";
+
+/**
+ * The types which can be used with define(), mapped to the function which
+ * registers preferences of that type.
+ */
+Preferences.TYPES = {
+	bool : "Bool",
+	char : "Char",
+	float : "Float",
+	int : "Int",
+	json : "JSON",
+	string : "String",
+	stringList : "StringList"
+};
+
+/**
+ * Checks if the given value is a finite number.
+ *
+ * @param {number} value The value.
+ * @returns {number} The value.
+ */
+function checkFloat(value) {
+	if (typeof value !== "number" || !isFinite(value)) {
+		throw "Cannot use \"" + value + "\" as float.";
+	}
+	
+	return value;
+}
+
+/**
+ * Converts the given value to the given type.
+ *
+ * @param value The value.
+ * @param {string} type The type, see Preferences.TYPES.
+ * @returns The converted value.
+ */
+function convertValue(value, type) {
+	if (type === "bool") {
+		return (value === "false" ? false : !!value);
+	} else if (type === "int") {
+		return parseInt(value, 10);
+	} else if (type === "float") {
+		return Number(value);
+	} else if (type === "char" || type === "string") {
+		return String(value);
+	} else if (type === "json") {
+		return (typeof value === "string" ? JSON.parse(value) : value);
+	} else if (type === "stringList") {
+		return (Array.isArray(value) ? value.map(String) : String(value).split(/\s*,\s*/));
+	}
+	
+	throw "Unknown type \"" + type + "\".";
+}
+
+/**
+ * Creates a backup of the user values of all preferences under the branch
+ * of the given Preferences.
+ *
+ * @param {Preferences} preferences The Preferences.
+ * @returns {Object} The backup, the values (see readValue()) by name.
+ */
+function createBackup(preferences) {
+	var backup = {};
+	var names = preferences.getNames();
+	
+	for (var index = 0; index < names.length; index++) {
+		var value = readValue(preferences, names[index]);
+		
+		if (value !== null) {
+			backup[names[index]] = value;
+		}
+	}
+	
+	return backup;
+}
+
+/**
+ * Gets the value of the given preference for an export, which is the value
+ * the callbacks receive, so the default value if the preference cannot be
+ * read or is invalid.
+ *
+ * @param {Preferences} preferences The Preferences.
+ * @param {string} name The name of the preference.
+ * @returns The value, or null if there is no value which can be exported.
+ */
+function getExportValue(preferences, name) {
+	var value = null;
+	
+	try {
+		if (preferences.getFunctions.hasOwnProperty(name)) {
+			value = preferences.getFunctions[name](name);
+		} else {
+			value = preferences.get(name, null);
+		}
+	} catch (e) {
+		// Empty on purpose
+	}
+	
+	if (!preferences.isValid(name, value)) {
+		value = preferences.schemas[name]["default"];
+	}
+	
+	if (value === null || typeof value === "undefined" || !preferences.isValid(name, value)) {
+		return null;
+	}
+	
+	return value;
+}
+
+/**
+ * Gets the type of the given preference, which is the one it has been
+ * registered with or otherwise determined from the preference itself.
+ *
+ * @param {Preferences} preferences The Preferences.
+ * @param {string} name The name of the preference.
+ * @returns {string} The type, see Preferences.TYPES.
+ */
+function getType(preferences, name) {
+	if (preferences.types.hasOwnProperty(name)) {
+		return preferences.types[name];
+	}
+	
+	var type = preferences.preferences.getPrefType(name);
+	
+	if (type === Components.interfaces.nsIPrefBranch.PREF_BOOL) {
+		return "bool";
+	} else if (type === Components.interfaces.nsIPrefBranch.PREF_INT) {
+		return "int";
+	}
+	
+	return "string";
+}
+
+/**
+ * Checks if the given preference has child preferences, which would be
+ * deleted together with it by deleteBranch().
+ *
+ * @param {Preferences} preferences The Preferences.
+ * @param {string} name The name of the preference.
+ * @returns {boolean} true if there are child preferences.
+ */
+function hasChildPreferences(preferences, name) {
+	return preferences.preferences.getChildList(name + ".", {}).length > 0;
+}
+
+/**
+ * Removes the given preference if it exists with another type than the one
+ * values of the given type are stored with, because the type of an existing
+ * preference cannot be changed. A user value is cleared, a default value
+ * requires deleting the branch, which is refused if the preference has child
+ * preferences because they would be deleted too.
+ *
+ * @param {Preferences} preferences The Preferences.
+ * @param {string} name The name of the preference.
+ * @param {string} type The type, see Preferences.TYPES.
+ */
+function prepareType(preferences, name, type) {
+	var storedType = Components.interfaces.nsIPrefBranch.PREF_STRING;
+	
+	if (type === "bool") {
+		storedType = Components.interfaces.nsIPrefBranch.PREF_BOOL;
+	} else if (type === "int") {
+		storedType = Components.interfaces.nsIPrefBranch.PREF_INT;
+	}
+	
+	var currentType = preferences.preferences.getPrefType(name);
+	
+	if (currentType === Components.interfaces.nsIPrefBranch.PREF_INVALID || currentType === storedType) {
+		return;
+	}
+	
+	preferences.preferences.clearUserPref(name);
+	
+	if (preferences.preferences.getPrefType(name) === Components.interfaces.nsIPrefBranch.PREF_INVALID) {
+		return;
+	} else if (hasChildPreferences(preferences, name)) {
+		throw "Cannot change the type of \"" + name + "\", it has child preferences.";
+	}
+	
+	preferences.preferences.deleteBranch(name);
+}
+
+/**
+ * Reads the user value of the given preference, with the raw type of the
+ * preference.
+ *
+ * @param {Preferences} preferences The Preferences.
+ * @param {string} name The name of the preference.
+ * @returns {Object} The type ("bool", "int" or "string") and the value, or
+ *                   null if the preference does not have a user value.
+ */
+function readValue(preferences, name) {
+	if (!preferences.hasUserValue(name)) {
+		return null;
+	}
+	
+	var type = preferences.preferences.getPrefType(name);
+	
+	if (type === Components.interfaces.nsIPrefBranch.PREF_BOOL) {
+		return { type : "bool", value : preferences.getBool(name, null) };
+	} else if (type === Components.interfaces.nsIPrefBranch.PREF_INT) {
+		return { type : "int", value : preferences.getInt(name, null) };
+	}
+	
+	return { type : "string", value : preferences.getString(name, null) };
+}
+
+/**
+ * Restores the given backup, means that all user values which are not part
+ * of the backup are reset and all others are set to the values of the
+ * backup.
+ *
+ * @param {Preferences} preferences The Preferences.
+ * @param {Object} backup The backup, see createBackup().
+ */
+function restoreBackup(preferences, backup) {
+	var names = preferences.getNames();
+	var index = 0;
+	
+	for (index = 0; index < names.length; index++) {
+		if (!backup.hasOwnProperty(names[index])) {
+			preferences.reset(names[index]);
+		}
+	}
+	
+	for (var name in backup) {
+		var value = readValue(preferences, name);
+		
+		if (value === null || value.type !== backup[name].type || value.value !== backup[name].value) {
+			prepareType(preferences, name, backup[name].type);
+			writeValue(preferences, name, backup[name].value, backup[name].type);
+		}
+	}
+}
+
+/**
+ * Stores the given backup values in Preferences.BACKUPS, only the last
+ * Preferences.MAX_BACKUPS are kept.
+ *
+ * @param {Preferences} preferences The Preferences.
+ * @param {string} reason The reason for the backup.
+ * @param {Object} values The values, see createBackup().
+ */
+function storeBackup(preferences, reason, values) {
+	var backups = preferences.getJSON(Preferences.BACKUPS, []);
+	
+	backups.push({
+		reason : reason,
+		time : new Date().toISOString(),
+		values : values
+	});
+	
+	preferences.setJSON(Preferences.BACKUPS, backups.slice(-Preferences.MAX_BACKUPS));
+}
+
+/**
+ * Writes the given value, which is only checked against the given type but
+ * not against the schema of the preference.
+ *
+ * @param {Preferences} preferences The Preferences.
+ * @param {string} name The name of the preference.
+ * @param value The value.
+ * @param {string} type Optional. The type, see Preferences.TYPES. By default
+ *                      the type is determined like set() does.
+ */
+function writeValue(preferences, name, value, type) {
+	if (type == null) {
+		preferences.set(name, value);
+		return;
+	}
+	
+	if (!isValid({ type : type }, name, value)) {
+		throw "Cannot use \"" + value + "\" as value of \"" + name + "\".";
+	}
+	
+	if (type === "bool") {
+		preferences.preferences.setBoolPref(name, value);
+	} else if (type === "int") {
+		preferences.preferences.setIntPref(name, value);
+	} else if (type === "char") {
+		preferences.preferences.setCharPref(name, value);
+	} else if (type === "json" || type === "stringList") {
+		setComplexString(preferences.preferences, name, JSON.stringify(value));
+	} else {
+		setComplexString(preferences.preferences, name, String(value));
+	}
+}
+
+/**
+ * Checks if the given value has the given type and is valid according to the
+ * schema of the preference, if any.
+ *
+ * @param {Preferences} preferences The Preferences.
+ * @param {string} type The type, see Preferences.TYPES.
+ * @param {string} name The name of the preference.
+ * @param value The value.
+ */
+function checkValue(preferences, type, name, value) {
+	if (!isValid({ type : type }, name, value) || !preferences.isValid(name, value)) {
+		throw "Cannot use \"" + value + "\" as value of \"" + name + "\".";
+	}
+}
+
+/**
+ * Checks if the given value is an array of strings.
+ *
+ * @param {Array} value The value.
+ * @returns {Array} The value.
+ */
+function checkStringList(value) {
+	if (!isStringList(value)) {
+		throw "Cannot use \"" + value + "\" as string list.";
+	}
+	
+	return value;
+}
+
+/**
+ * Checks if the given preference is an internal one, which is stored in
+ * Preferences.RESERVED_BRANCH.
+ *
+ * @param {string} name The name of the preference.
+ * @returns {boolean} true if the preference is an internal one.
+ */
+function isReserved(name) {
+	return name.indexOf(Preferences.RESERVED_BRANCH) === 0;
+}
+
+/**
+ * Checks if the given value is an array of strings.
+ *
+ * @param value The value.
+ * @returns {boolean} true if the value is an array of strings.
+ */
+function isStringList(value) {
+	if (!Array.isArray(value)) {
+		return false;
+	}
+	
+	for (var index = 0; index < value.length; index++) {
+		if (typeof value[index] !== "string") {
+			return false;
+		}
+	}
+	
+	return true;
+}
+
+/**
+ * Checks if the given value is valid according to the given schema.
+ *
+ * @param {Object} schema The schema of the preference.
+ * @param {string} name The name of the preference.
+ * @param value The value.
+ * @returns {boolean} true if the value is valid.
+ */
+function isValid(schema, name, value) {
+	if ((schema.type === "bool" && typeof value !== "boolean")
+			|| ((schema.type === "char" || schema.type === "string") && typeof value !== "string")
+			|| (schema.type === "float" && (typeof value !== "number" || !isFinite(value)))
+			|| (schema.type === "int" && (typeof value !== "number" || Math.floor(value) !== value))
+			|| (schema.type === "json" && typeof value === "undefined")
+			|| (schema.type === "stringList" && !isStringList(value))) {
+		return false;
+	}
+	
+	if ((schema.min != null && value < schema.min) || (schema.max != null && value > schema.max)) {
+		return false;
+	}
+	
+	if (schema.values != null && schema.values.indexOf(value) < 0) {
+		return false;
+	}
+	
+	if (schema.pattern != null && !new RegExp(schema.pattern).test(value)) {
+		return false;
+	}
+	
+	if (schema.validator != null && !schema.validator(value, name)) {
+		return false;
+	}
+	
+	return true;
+}
+
+/**
+ * Checks if the given name or wildcard pattern matches the given name of a
+ * preference. Wildcard patterns do not match the internal preferences.
+ *
+ * @param {string} pattern The name or the pattern, like "colors.*" or "*".
+ * @param {string} name The name of the preference.
+ * @returns {boolean} true if the pattern matches.
+ */
+function matches(pattern, name) {
+	if (pattern === name) {
+		return true;
+	} else if (isReserved(name)) {
+		return false;
+	} else if (pattern === "*") {
+		return true;
+	}
+	
+	return /\.\*$/.test(pattern) && name.indexOf(pattern.substring(0, pattern.length - 1)) === 0;
+}
+
+/**
+ * Sets the given string preference as complex value, so that non-ASCII
+ * characters are preserved.
+ *
+ * @param {nsIPrefBranch} branch The branch.
+ * @param {string} name The name of the preference.
+ * @param {string} value The value.
+ */
+function setComplexString(branch, name, value) {
+	var string = Components
+		.classes["@mozilla.org/supports-string;1"]
+		.createInstance(Components.interfaces.nsISupportsString);
+	string.data = value;
+	
+	branch.setComplexValue(name, Components.interfaces.nsISupportsString, string);
+}
+
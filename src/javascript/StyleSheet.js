@@ -10,26 +10,81 @@
 var EXPORTED_SYMBOLS = [ "StyleSheet" ];
 
 Components.utils.import("resource://gre/modules/Services.jsm");
+Components.utils.import(__URI__.replace(/[^\/]*$/, "CSSFormatter.js"));
 
 /**
  * StyleSheet is a simple container class which allows to register one big
- * stylesheet in a deferred way.
+ * stylesheet in a deferred way. The combined stylesheet is only re-registered
+ * if its content did change. Optionally all changes which are made in the
+ * same tick can be coalesced into one re-registration, see setCoalesce(). <p/>
+ * The stylesheets are ordered by their layer (see setLayers()), then by their
+ * priority and then by the order in which they have been registered first, so
+ * that stylesheets in later layers or with a higher priority win ties in the
+ * cascade. Re-registering a stylesheet does not change its position. <p/>
+ * Multiple changes can be grouped into a transaction (see begin(), commit(),
+ * rollback() and batch()), transactions can be nested and the stylesheet is
+ * only applied when the outermost transaction is committed. <p/>
+ * The combined stylesheet can have a target, like the browser chrome or a
+ * domain, which adds the matching @namespace and @-moz-document rules the same
+ * way DynamicStyleSheets.registerForBrowser() and registerForDomain() do.
+ * Single stylesheets can have their own target (see registerForTarget()),
+ * consecutive stylesheets with the same target are grouped into one section.
+ * If the sections need different default namespaces, no default namespace is
+ * declared, only the prefixes (see DynamicStyleSheets.getNamespacePrefixes()).
  *
  * @param {@string} name The (unique) name used for the registered stylesheets.
+ * @param target Optional. The target of the combined stylesheet,
+ *               DynamicStyleSheets.TARGET_BROWSER,
+ *               DynamicStyleSheets.TARGET_GENERIC or anything
+ *               DocumentMatcher.create() accepts. By default the stylesheet
+ *               is registered as it is.
  */
-var StyleSheet = function(name) {
+var StyleSheet = function(name, target) {
+	/** The combined stylesheet which has been registered last. */
+	this.appliedStyleSheet = null;
+	
+	/** If all changes in one tick should be applied at once. */
+	this.coalesce = false;
+	
 	/** If the applying of the stylesheets should be deferred. */
 	this.deferred = false;
 	
 	/** The dynamicStyleSheets that is used. */
 	this.dynamicStyleSheets = null;
 	
+	/** The format of the combined stylesheet, see CSSFormatter. */
+	this.format = CSSFormatter.DEFAULT;
+	
+	/**
+	 * The positions of the registered stylesheets by their name, each holds
+	 * the layer, the priority, the sequence number and the target.
+	 */
+	this.fragments = {};
+	
+	/** The names of the layers, in the order in which they are applied. */
+	this.layers = [ StyleSheet.DEFAULT_LAYER ];
+	
 	/** The name of this StyleSheet. */
 	this.name = "StyleSheet";
 	
+	/** If an asynchronous apply() is pending. */
+	this.scheduled = false;
+	
+	/** The sequence number of the last registered stylesheet. */
+	this.sequence = 0;
+	
 	 /** The list of stylesheets that are registered. */
 	this.styleSheets = {};
 	
+	/** The target of the combined stylesheet, null for none. */
+	this.target = (target != null ? target : null);
+	
+	/**
+	 * The open transactions, each holds a snapshot of the stylesheets as they
+	 * were before the transaction has been started.
+	 */
+	this.transactions = [];
+	
 	/**
 	 * Initializes this StyleSheet.
 	 *
@@ -42,21 +97,137 @@ var StyleSheet = function(name) {
 	
 	/**
 	 * Applies (or re-applies) the stylesheets and resets the deferred status.
+	 * If the combined stylesheet did not change since it was registered last,
+	 * it is not registered again. Inside of a transaction nothing is applied,
+	 * this is done when the outermost transaction is committed.
 	 */
 	this.apply = function() {
 		this.deferred = false;
+		this.scheduled = false;
+		
+		if (this.transactions.length > 0) {
+			return;
+		}
 		
-		var styleSheet = "";
+		var sections = [];
+		var names = this.getNames();
+		var section = null;
+		var index = 0;
 		
-		for (var key in this.styleSheets) {
+		for (index = 0; index < names.length; index++) {
+			var key = names[index];
 			var value = this.styleSheets[key];
 			
 			if (value !== null && value !== "") {
-				styleSheet = styleSheet + " " + this.styleSheets[key];
+				var target = (this.fragments[key].target != null ? this.fragments[key].target : this.target);
+				var description = this.dynamicStyleSheets.getTargetDescription(target);
+				
+				if (section === null || section.description !== description) {
+					section = {
+						description : description,
+						fragments : [],
+						target : target
+					};
+					
+					sections.push(section);
+				}
+				
+				var comment = CSSFormatter.comment("fragment: " + key, this.format, 0);
+				section.fragments.push(comment + this.dynamicStyleSheets.getCSS(value, this.format));
+			}
+		}
+		
+		var separator = " ";
+		
+		if (this.format === CSSFormatter.MINIFIED) {
+			separator = "";
+		} else if (this.format === CSSFormatter.PRETTY || this.format === CSSFormatter.ANNOTATED) {
+			separator = "\n\n";
+		}
+		
+		var parts = [];
+		var namespace = null;
+		var descriptions = [];
+		
+		for (index = 0; index < sections.length; index++) {
+			section = sections[index];
+			
+			var sectionNamespace = this.dynamicStyleSheets.getNamespace(section.target);
+			
+			// Only one default namespace is possible, so only the prefixes are
+			// declared if the sections would need different ones.
+			namespace = (namespace === null || namespace === sectionNamespace ? sectionNamespace : this.dynamicStyleSheets.getNamespacePrefixes());
+			
+			if (descriptions.indexOf(section.description) < 0) {
+				descriptions.push(section.description);
 			}
+			
+			var sectionComment = CSSFormatter.comment((section.description !== null ? "target: " + section.description : null), this.format, 0);
+			parts.push(sectionComment + this.dynamicStyleSheets.wrapForTarget(section.target, section.fragments.join(separator), this.format));
+		}
+		
+		if (namespace !== null && namespace !== "") {
+			parts.unshift(namespace);
+		}
+		
+		var styleSheet = parts.join(separator);
+		
+		if (styleSheet === this.appliedStyleSheet && this.dynamicStyleSheets.styleSheets[this.name] != null) {
+			return;
+		}
+		
+		this.dynamicStyleSheets.register(this.name, styleSheet, null, (descriptions.length > 1 ? "mixed" : descriptions[0]));
+		this.appliedStyleSheet = styleSheet;
+	};
+	
+	/**
+	 * Runs the given function inside of a transaction. The transaction is
+	 * committed if the function returns and rolled back if it throws.
+	 *
+	 * @param {function} fn The function, which is invoked with this StyleSheet
+	 *                      as parameter.
+	 * @return The return value of the function.
+	 */
+	this.batch = function(fn) {
+		this.begin();
+		
+		var result = null;
+		
+		try {
+			result = fn(this);
+		} catch (e) {
+			this.rollback();
+			
+			throw e;
 		}
 		
-		this.dynamicStyleSheets.register(this.name, styleSheet);
+		this.commit();
+		
+		return result;
+	};
+	
+	/**
+	 * Begins a transaction, all changes are only applied when the outermost
+	 * transaction is committed.
+	 */
+	this.begin = function() {
+		this.transactions.push(createSnapshot(this));
+	};
+	
+	/**
+	 * Commits the innermost transaction. If it is the outermost one, the
+	 * stylesheets are applied.
+	 */
+	this.commit = function() {
+		if (this.transactions.length === 0) {
+			throw "There is no transaction to commit.";
+		}
+		
+		this.transactions.pop();
+		
+		if (this.transactions.length === 0) {
+			this.update();
+		}
 	};
 	
 	/**
@@ -67,37 +238,358 @@ var StyleSheet = function(name) {
 	};
 	
 	/**
-	 * Registers the given stylesheet with the given name.
+	 * Gets the layer of the stylesheet with the given name.
+	 *
+	 * @param {string} name The name of the stylesheet.
+	 * @return {string} The layer, or null if there is no such stylesheet.
+	 */
+	this.getLayer = function(name) {
+		if (!this.fragments.hasOwnProperty(name)) {
+			return null;
+		}
+		
+		return this.fragments[name].layer;
+	};
+	
+	/**
+	 * Gets the names of all registered stylesheets in the order in which they
+	 * are applied.
+	 *
+	 * @return {Array} The names of the stylesheets.
+	 */
+	this.getNames = function() {
+		var fragments = this.fragments;
+		var layers = this.layers;
+		
+		return Object.keys(fragments).sort(function(first, second) {
+			var firstFragment = fragments[first];
+			var secondFragment = fragments[second];
+			
+			return (layers.indexOf(firstFragment.layer) - layers.indexOf(secondFragment.layer))
+					|| (firstFragment.priority - secondFragment.priority)
+					|| (firstFragment.sequence - secondFragment.sequence);
+		});
+	};
+	
+	/**
+	 * Moves the stylesheet with the given name to the given layer, where it is
+	 * placed behind all stylesheets with the same priority.
+	 *
+	 * @param {string} name The name of the stylesheet.
+	 * @param {string} layer The layer.
+	 * @param {number} priority Optional. The new priority, by default the
+	 *                          priority is kept.
+	 */
+	this.move = function(name, layer, priority) {
+		if (!this.fragments.hasOwnProperty(name)) {
+			throw "There is no stylesheet with the name \"" + name + "\".";
+		}
+		
+		checkLayer(this, layer);
+		
+		var fragment = this.fragments[name];
+		
+		this.sequence++;
+		
+		fragment.layer = layer;
+		fragment.priority = (priority != null ? priority : fragment.priority);
+		fragment.sequence = this.sequence;
+		
+		this.update();
+	};
+	
+	/**
+	 * Registers the given stylesheet with the given name. If a stylesheet with
+	 * the same name is already registered, it is replaced but keeps its
+	 * target and its position unless a layer or priority is given.
 	 *
 	 * @param {string} name The (unique) name to use.
-	 * @param {string} styleSheet The stylesheet to apply.
+	 * @param styleSheet The stylesheet to apply. Can be either a string, a
+	 *                   CSSBuilder or a CSSDocument.
+	 * @param {string} layer Optional. The layer, defaults to
+	 *                       StyleSheet.DEFAULT_LAYER.
+	 * @param {number} priority Optional. The priority inside of the layer,
+	 *                          stylesheets with a higher priority are applied
+	 *                          later. Defaults to 0.
 	 */
-	this.register = function(name, styleSheet) {
-		this.styleSheets[name] = styleSheet;
+	this.register = function(name, styleSheet, layer, priority) {
+		if (layer != null) {
+			checkLayer(this, layer);
+		}
 		
-		if (!this.deferred) {
-			this.apply();
+		setFragment(this, name, styleSheet, layer, priority);
+		
+		this.update();
+	};
+	
+	/**
+	 * Registers the given stylesheet with the given name and its own target,
+	 * which differs from the target of the combined stylesheet.
+	 *
+	 * @param {string} name The (unique) name to use.
+	 * @param target The target, see the constructor. null to use the target
+	 *               of the combined stylesheet.
+	 * @param styleSheet The stylesheet to apply. Can be either a string, a
+	 *                   CSSBuilder or a CSSDocument.
+	 * @param {string} layer Optional. The layer, see register().
+	 * @param {number} priority Optional. The priority, see register().
+	 */
+	this.registerForTarget = function(name, target, styleSheet, layer, priority) {
+		if (layer != null) {
+			checkLayer(this, layer);
+		}
+		
+		setFragment(this, name, styleSheet, layer, priority).target = (target != null ? target : null);
+		
+		this.update();
+	};
+	
+	/**
+	 * Rolls back the innermost transaction, means that the stylesheets, their
+	 * layers and priorities are restored to the state before the transaction
+	 * has been started. CSSBuilders and CSSDocuments which have been changed
+	 * during the transaction are replaced with their CSS from before, all
+	 * other stylesheets are kept as they are.
+	 */
+	this.rollback = function() {
+		if (this.transactions.length === 0) {
+			throw "There is no transaction to roll back.";
+		}
+		
+		var snapshot = this.transactions.pop();
+		
+		this.fragments = snapshot.fragments;
+		this.layers = snapshot.layers;
+		this.sequence = snapshot.sequence;
+		this.styleSheets = {};
+		
+		for (var name in snapshot.styleSheets) {
+			this.styleSheets[name] = restoreStyleSheet(snapshot.styleSheets[name], snapshot.format);
+		}
+		
+		if (this.transactions.length === 0) {
+			this.update();
 		}
 	};
 	
+	/**
+	 * Schedules an asynchronous apply(), if none is pending already.
+	 */
+	this.scheduleApply = function() {
+		if (this.scheduled) {
+			return;
+		}
+		
+		this.scheduled = true;
+		
+		var styleSheet = this;
+		
+		Services.tm.mainThread.dispatch({
+			run : function() {
+				// A synchronous apply() in the meantime makes this one
+				// unnecessary.
+				if (styleSheet.scheduled && !styleSheet.deferred) {
+					styleSheet.apply();
+				}
+			}
+		}, Components.interfaces.nsIThread.DISPATCH_NORMAL);
+	};
+	
+	/**
+	 * Sets if all changes which are made in the same tick should be coalesced
+	 * into one asynchronous re-registration, instead of re-registering the
+	 * stylesheet synchronously on every change.
+	 *
+	 * @param {boolean} coalesce If changes should be coalesced.
+	 */
+	this.setCoalesce = function(coalesce) {
+		this.coalesce = coalesce;
+	};
+	
+	/**
+	 * Sets the layers, the stylesheets of a layer are applied after the ones
+	 * of all layers before it, for example [ "base", "theme",
+	 * "user-overrides" ]. StyleSheet.DEFAULT_LAYER is added at the beginning
+	 * if it is missing.
+	 *
+	 * @param {Array} layers The names of the layers, in the order in which
+	 *                       they should be applied.
+	 */
+	this.setLayers = function(layers) {
+		layers = layers.slice();
+		
+		if (layers.indexOf(StyleSheet.DEFAULT_LAYER) < 0) {
+			layers.unshift(StyleSheet.DEFAULT_LAYER);
+		}
+		
+		for (var name in this.fragments) {
+			if (layers.indexOf(this.fragments[name].layer) < 0) {
+				throw "Cannot remove the layer \"" + this.fragments[name].layer + "\", it is used by \"" + name + "\".";
+			}
+		}
+		
+		this.layers = layers;
+		
+		this.update();
+	};
+	
+	/**
+	 * Sets the format of the combined stylesheet. The stylesheet is not
+	 * re-applied.
+	 *
+	 * @param {string} format The format, see CSSFormatter.
+	 */
+	this.setFormat = function(format) {
+		this.format = format;
+	};
+	
 	/**
 	 * Unregisters the stylesheet.
 	 *
 	 * @param {string} name The name of the stylesheet to unregister.
 	 */
 	this.unregister = function(name) {
-		this.styleSheets[name] = null;
+		delete this.styleSheets[name];
+		delete this.fragments[name];
 		
-		if (!this.deferred) {
-			this.apply();
-		}
+		this.update();
 	};
 	
 	/**
 	 * Unregisters all stylesheets.
 	 */
 	this.unregisterAll = function() {
+		this.scheduled = false;
+		this.appliedStyleSheet = null;
+		
 		this.dynamicStyleSheets.unregister(this.name);
 	};
+	
+	/**
+	 * Applies the stylesheets after a change, either right away or
+	 * asynchronously if changes are coalesced. Nothing happens if applying is
+	 * deferred or a transaction is open.
+	 */
+	this.update = function() {
+		if (this.deferred || this.transactions.length > 0) {
+			return;
+		}
+		
+		if (this.coalesce) {
+			this.scheduleApply();
+		} else {
+			this.apply();
+		}
+	};
 };
 
+/** The name of the layer which is used if no layer is given. */
+StyleSheet.DEFAULT_LAYER = "default";
+
+/**
+ * Creates a snapshot of the stylesheets of the given StyleSheet. Every
+ * stylesheet is kept together with its CSS, so that changes to it during the
+ * transaction can be undone by a rollback (see restoreStyleSheet()).
+ *
+ * @param {StyleSheet} styleSheet The StyleSheet.
+ * @return {Object} The snapshot.
+ */
+function createSnapshot(styleSheet) {
+	var snapshot = {
+		fragments : {},
+		format : styleSheet.format,
+		layers : styleSheet.layers.slice(),
+		sequence : styleSheet.sequence,
+		styleSheets : {}
+	};
+	
+	for (var name in styleSheet.styleSheets) {
+		var value = styleSheet.styleSheets[name];
+		
+		snapshot.styleSheets[name] = {
+			css : (typeof value === "string" ? value : value.toCSS(styleSheet.format)),
+			value : value
+		};
+	}
+	
+	for (name in styleSheet.fragments) {
+		snapshot.fragments[name] = {
+			layer : styleSheet.fragments[name].layer,
+			priority : styleSheet.fragments[name].priority,
+			sequence : styleSheet.fragments[name].sequence,
+			target : styleSheet.fragments[name].target
+		};
+	}
+	
+	return snapshot;
+}
+
+/**
+ * Restores the given stylesheet of a snapshot. The original stylesheet is
+ * returned if its CSS did not change, otherwise the CSS from the snapshot.
+ *
+ * @param {Object} snapshot The stylesheet of the snapshot, with the
+ *                          original value and its CSS.
+ * @param {string} format The format the CSS has been created with.
+ * @return The restored stylesheet.
+ */
+function restoreStyleSheet(snapshot, format) {
+	if (typeof snapshot.value === "string" || snapshot.value.toCSS(format) === snapshot.css) {
+		return snapshot.value;
+	}
+	
+	return snapshot.css;
+}
+
+/**
+ * Checks if the given layer is one of the layers of the given StyleSheet.
+ *
+ * @param {StyleSheet} styleSheet The StyleSheet.
+ * @param {string} layer The layer.
+ */
+function checkLayer(styleSheet, layer) {
+	if (styleSheet.layers.indexOf(layer) < 0) {
+		throw "Unknown layer \"" + layer + "\", expected one of " + styleSheet.layers.join(", ") + ".";
+	}
+}
+
+/**
+ * Sets the given stylesheet and its fragment, without applying it. The
+ * layer needs to be checked before.
+ *
+ * @param {StyleSheet} styleSheet The StyleSheet.
+ * @param {string} name The name of the stylesheet.
+ * @param value The stylesheet, either a string, a CSSBuilder or a
+ *              CSSDocument.
+ * @param {string} layer The layer, null to keep the current one.
+ * @param {number} priority The priority, null to keep the current one.
+ * @return {Object} The fragment.
+ */
+function setFragment(styleSheet, name, value, layer, priority) {
+	var fragment = styleSheet.fragments[name];
+	
+	if (fragment == null) {
+		styleSheet.sequence++;
+		
+		fragment = {
+			layer : StyleSheet.DEFAULT_LAYER,
+			priority : 0,
+			sequence : styleSheet.sequence,
+			target : null
+		};
+		
+		styleSheet.fragments[name] = fragment;
+	} else if ((layer != null && layer !== fragment.layer) || (priority != null && priority !== fragment.priority)) {
+		styleSheet.sequence++;
+		
+		fragment.sequence = styleSheet.sequence;
+	}
+	
+	fragment.layer = (layer != null ? layer : fragment.layer);
+	fragment.priority = (priority != null ? priority : fragment.priority);
+	
+	styleSheet.styleSheets[name] = value;
+	
+	return fragment;
+}
+